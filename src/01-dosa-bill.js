@@ -0,0 +1,157 @@
+/**
+ * 🧾 Dosa Counter - Cart & Bill
+ *
+ * Customer ek dosa nahi, poora parivaar ka order deta hai — teen tarah ke
+ * dosa, do filter coffee, ek vada. Cart mein saari lines jodo aur ek proper
+ * bill banao jo GST, takeaway packaging aur round-off sab dikhaye.
+ *
+ * Functions:
+ *
+ *   1. createDosaCart(menu = createDosaMenu())
+ *      - CLOSURE: private lines array, auto-incremented line id (from 1)
+ *      - addDosa(type, quantity = 1, options = {})
+ *          Price via menu.calculateOrder (modifiers bhi). Returns line id, ya -1 agar invalid.
+ *      - addExtra(name, price, quantity = 1)
+ *          Non-menu items (coffee, vada). price >= 0, quantity > 0. Returns id ya -1.
+ *      - removeLine(id)   => true agar line mili, warna false
+ *      - getLines()       => copies of lines
+ *      - clear()          => empties cart, resets id counter. Returns true.
+ *      - getBill(billOptions) => generateBill(getLines(), billOptions)
+ *
+ *   2. generateBill(lines, { gstRate = 0.05, splitGst = true, orderType = "dine-in", packagingPerItem = 5 })
+ *      - PURE: lines: [{ name, quantity, unitPrice }]
+ *      - amount = unitPrice * quantity, subtotal = sum of amounts
+ *      - packaging = packagingPerItem * total quantity, sirf "takeaway" pe
+ *      - GST lagta hai (subtotal + packaging) pe; splitGst true ho toh
+ *        aadha CGST aadha SGST, warna ek single "GST" line
+ *      - grandTotal = nearest rupee; roundOff = grandTotal - exact total
+ *      - Saari amounts 2 decimal places tak
+ *      - Agar lines empty/invalid ya options invalid, return null
+ *
+ * @example
+ *   const cart = createDosaCart();
+ *   cart.addDosa("masala", 2, { spicy: true });
+ *   cart.addExtra("filter coffee", 25, 2);
+ *   cart.getBill({ orderType: "takeaway" })
+ *   // => { orderType: "takeaway", subtotal: 190, packaging: 20, taxableAmount: 210,
+ *   //      taxes: [{ name: "CGST", rate: 0.025, amount: 5.25 }, { name: "SGST", ... }],
+ *   //      totalTax: 10.5, roundOff: 0.5, grandTotal: 221, ... }
+ */
+import { createDosaMenu } from './01-dosa-counter.js';
+
+const ORDER_TYPES = ['dine-in', 'takeaway'];
+
+const toMoney = (amount) => Number(amount.toFixed(2));
+
+const isValidLine = (line) =>
+  line &&
+  typeof line === 'object' &&
+  typeof line.name === 'string' &&
+  line.name.length > 0 &&
+  Number.isFinite(line.quantity) &&
+  line.quantity > 0 &&
+  Number.isFinite(line.unitPrice) &&
+  line.unitPrice >= 0;
+
+export function generateBill(
+  lines,
+  { gstRate = 0.05, splitGst = true, orderType = 'dine-in', packagingPerItem = 5 } = {}
+) {
+  if (!Array.isArray(lines) || lines.length === 0) return null;
+  if (!lines.every(isValidLine)) return null;
+  if (!Number.isFinite(gstRate) || gstRate < 0 || gstRate > 1) return null;
+  if (!Number.isFinite(packagingPerItem) || packagingPerItem < 0) return null;
+  if (!ORDER_TYPES.includes(orderType)) return null;
+
+  const billLines = lines.map((line) => ({
+    ...line,
+    amount: toMoney(line.unitPrice * line.quantity),
+  }));
+
+  const itemCount = billLines.reduce((sum, line) => sum + line.quantity, 0);
+  const subtotal = toMoney(billLines.reduce((sum, line) => sum + line.amount, 0));
+  const packaging = orderType === 'takeaway' ? toMoney(packagingPerItem * itemCount) : 0;
+  const taxableAmount = toMoney(subtotal + packaging);
+
+  const taxes = splitGst
+    ? [
+        { name: 'CGST', rate: gstRate / 2, amount: toMoney((taxableAmount * gstRate) / 2) },
+        { name: 'SGST', rate: gstRate / 2, amount: toMoney((taxableAmount * gstRate) / 2) },
+      ]
+    : [{ name: 'GST', rate: gstRate, amount: toMoney(taxableAmount * gstRate) }];
+
+  const totalTax = toMoney(taxes.reduce((sum, tax) => sum + tax.amount, 0));
+  const exactTotal = toMoney(taxableAmount + totalTax);
+  const grandTotal = Math.round(exactTotal);
+  const roundOff = toMoney(grandTotal - exactTotal);
+
+  return {
+    orderType,
+    lines: billLines,
+    itemCount,
+    subtotal,
+    packaging,
+    taxableAmount,
+    taxes,
+    totalTax,
+    roundOff,
+    grandTotal,
+  };
+}
+
+export function createDosaCart(menu = createDosaMenu()) {
+  let lines = [];
+  let nextId = 0;
+
+  const pushLine = (line) => {
+    nextId += 1;
+    lines.push({ id: nextId, ...line });
+    return nextId;
+  };
+
+  const addDosa = (type, quantity = 1, options = {}) => {
+    const order = menu ? menu.calculateOrder(type, quantity, options) : null;
+    if (!order) return -1;
+    return pushLine({
+      kind: 'dosa',
+      name: order.type,
+      quantity: order.quantity,
+      unitPrice: order.pricePerDosa,
+      modifiers: order.modifiers.map((m) => m.name),
+    });
+  };
+
+  const addExtra = (name, price, quantity = 1) => {
+    const line = { kind: 'extra', name, quantity, unitPrice: price };
+    if (!isValidLine(line)) return -1;
+    return pushLine(line);
+  };
+
+  const removeLine = (id) => {
+    const before = lines.length;
+    lines = lines.filter((line) => line.id !== id);
+    return lines.length !== before;
+  };
+
+  const getLines = () =>
+    lines.map((line) =>
+      line.modifiers ? { ...line, modifiers: [...line.modifiers] } : { ...line }
+    );
+
+  const clear = () => {
+    lines = [];
+    nextId = 0;
+    return true;
+  };
+
+  const getBill = (billOptions) => generateBill(getLines(), billOptions);
+
+  return {
+    addDosa,
+    addExtra,
+    removeLine,
+    getLines,
+    clear,
+    getBill,
+  };
+}
@@ -1,3 +1,165 @@
+/**
+ * 🍳 Dosa Counter - Menu Registry
+ *
+ * Raju ke counter pe menu har hafte badalta hai — naya dosa aata hai, daam
+ * badhte hain, koi item band ho jaata hai. Har baar code change nahi karna,
+ * isliye menu ek factory se banta hai jiska private state closure mein hai.
+ *
+ * Function: createDosaMenu({ items, surcharges, modifiers })
+ *
+ *   - items: { [type]: price } — default Raju ka standard menu
+ *   - surcharges: { [name]: amount } — default { spicy: 10 }, har dosa type pe allowed
+ *   - modifiers: { [name]: { price, types? } } — customisation catalogue
+ *       price = per dosa delta (negative bhi ho sakta hai, jaise half portion)
+ *       types = allow-list of dosa types; na diya toh sab types pe allowed
+ *       Default: extraButter, extraCheese, noOnion, gheeRoast, half
+ *   - Item price positive number hona chahiye, surcharge non-negative number
+ *   - Agar items/surcharges/modifiers object nahi hai ya koi price invalid hai, return null
+ *
+ * Returns an object with these methods:
+ *
+ *   - addItem(type, price)     => true, ya false agar type already hai / invalid hai
+ *   - updateItem(type, price)  => true, ya false agar type nahi mila / price invalid
+ *   - removeItem(type)         => true, ya false agar type nahi mila
+ *   - getPrice(type)           => price, ya null agar type nahi mila
+ *   - listItems()              => [{ type, price }] (copies, menu order mein)
+ *   - listModifiers()          => [{ name, price, types }] (types null = sab types)
+ *   - calculateOrder(type, quantity = 1, options = {})
+ *       options: { [surchargeOrModifierName]: true } — har enabled modifier per dosa lagta hai
+ *       Return: { type, quantity, pricePerDosa, total, modifiers: [{ name, price, total }] }
+ *       Return null agar: type/quantity invalid (same rules as below), modifier
+ *       unknown hai, us dosa type pe allowed nahi, ya pricePerDosa <= 0 ho jaaye
+ *
+ * @example
+ *   const menu = createDosaMenu({ items: { plain: 40, rava: 75 } });
+ *   menu.calculateOrder("rava", 2, { spicy: true, extraButter: true })
+ *   // => { type: "rava", quantity: 2, pricePerDosa: 100, total: 200,
+ *   //      modifiers: [{ name: "spicy", price: 10, total: 20 }, { name: "extraButter", price: 15, total: 30 }] }
+ */
+const DEFAULT_DOSA_PRICES = {
+  plain: 40,
+  masala: 60,
+  onion: 50,
+  butter: 70,
+  paper: 90,
+  cheese: 80,
+};
+
+const DEFAULT_SURCHARGES = {
+  spicy: 10,
+};
+
+const DEFAULT_MODIFIERS = {
+  extraButter: { price: 15 },
+  extraCheese: { price: 20, types: ['plain', 'masala', 'onion', 'cheese'] },
+  noOnion: { price: 0, types: ['masala', 'cheese'] },
+  gheeRoast: { price: 25, types: ['plain', 'masala', 'paper'] },
+  half: { price: -20, types: ['plain', 'masala', 'onion'] },
+};
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isValidItemPrice = (price) => Number.isFinite(price) && price > 0;
+
+const isValidSurcharge = (amount) => Number.isFinite(amount) && amount >= 0;
+
+const isValidModifier = (modifier) =>
+  isPlainObject(modifier) &&
+  Number.isFinite(modifier.price) &&
+  (modifier.types === undefined ||
+    (Array.isArray(modifier.types) && modifier.types.every((t) => typeof t === 'string')));
+
+export function createDosaMenu({
+  items = DEFAULT_DOSA_PRICES,
+  surcharges = DEFAULT_SURCHARGES,
+  modifiers = DEFAULT_MODIFIERS,
+} = {}) {
+  if (!isPlainObject(items) || !isPlainObject(surcharges) || !isPlainObject(modifiers)) {
+    return null;
+  }
+  if (!Object.values(items).every(isValidItemPrice)) return null;
+  if (!Object.values(surcharges).every(isValidSurcharge)) return null;
+  if (!Object.values(modifiers).every(isValidModifier)) return null;
+
+  const prices = new Map(Object.entries(items));
+  const catalogue = new Map([
+    ...Object.entries(modifiers).map(([name, { price, types }]) => [
+      name,
+      { price, types: types ? [...types] : null },
+    ]),
+    ...Object.entries(surcharges).map(([name, price]) => [name, { price, types: null }]),
+  ]);
+
+  const isValidType = (type) => typeof type === 'string' && type.length > 0;
+
+  const addItem = (type, price) => {
+    if (!isValidType(type) || !isValidItemPrice(price)) return false;
+    if (prices.has(type)) return false;
+    prices.set(type, price);
+    return true;
+  };
+
+  const updateItem = (type, price) => {
+    if (!prices.has(type) || !isValidItemPrice(price)) return false;
+    prices.set(type, price);
+    return true;
+  };
+
+  const removeItem = (type) => prices.delete(type);
+
+  const getPrice = (type) => (prices.has(type) ? prices.get(type) : null);
+
+  const listItems = () => [...prices].map(([type, price]) => ({ type, price }));
+
+  const listModifiers = () =>
+    [...catalogue].map(([name, { price, types }]) => ({
+      name,
+      price,
+      types: types ? [...types] : null,
+    }));
+
+  const calculateOrder = (type, quantity = 1, options = {}) => {
+    if (typeof type !== 'string') return null;
+    if (!prices.has(type)) return null;
+    if (!Number.isFinite(quantity) || quantity <= 0) return null;
+
+    const enabled = isPlainObject(options) ? options : {};
+    const applied = [];
+    for (const [name, isOn] of Object.entries(enabled)) {
+      if (!isOn) continue;
+      const modifier = catalogue.get(name);
+      if (!modifier) return null;
+      if (modifier.types && !modifier.types.includes(type)) return null;
+      applied.push({ name, price: modifier.price, total: modifier.price * quantity });
+    }
+
+    const pricePerDosa = applied.reduce((sum, m) => sum + m.price, prices.get(type));
+    if (pricePerDosa <= 0) return null;
+    const total = pricePerDosa * quantity;
+
+    return {
+      type,
+      quantity,
+      pricePerDosa,
+      total,
+      modifiers: applied,
+    };
+  };
+
+  return {
+    addItem,
+    updateItem,
+    removeItem,
+    getPrice,
+    listItems,
+    listModifiers,
+    calculateOrder,
+  };
+}
+
+const defaultMenu = createDosaMenu();
+
 /**
  * 🍳 Dosa Counter - Order Calculator
  *
@@ -19,10 +181,15 @@
  *   - Agar type string nahi hai ya unknown type hai, return null
  *   - Agar quantity positive number nahi hai (<=0 ya NaN), return null
  *
+ * Yeh ab default menu (createDosaMenu()) ka thin wrapper hai. Teesra argument
+ * boolean (legacy isSpicy) ho toh purana shape milta hai; options object ho
+ * (jaise { spicy: true, gheeRoast: true }) toh result mein `modifiers` list bhi
+ * aati hai — dekho createDosaMenu().calculateOrder.
+ *
  * @param {string} type - Dosa type
  * @param {number} [quantity=1] - Number of dosas
- * @param {boolean} [isSpicy=false] - Add spicy for Rs 10 extra
- * @returns {{ type: string, quantity: number, pricePerDosa: number, total: number } | null}
+ * @param {boolean|object} [isSpicy=false] - Add spicy for Rs 10 extra, ya modifiers ka options object
+ * @returns {{ type: string, quantity: number, pricePerDosa: number, total: number, modifiers?: object[] } | null}
  *
  * @example
  *   calculateDosaOrder("masala", 2, true)
@@ -32,27 +199,10 @@
  *   // => { type: "plain", quantity: 1, pricePerDosa: 40, total: 40 }
  */
 export function calculateDosaOrder(type, quantity = 1, isSpicy = false) {
-  const prices = {
-    plain: 40,
-    masala: 60,
-    onion: 50,
-    butter: 70,
-    paper: 90,
-    cheese: 80,
-  };
-
-  if (typeof type !== 'string') return null;
-  if (!Object.prototype.hasOwnProperty.call(prices, type)) return null;
-  if (!Number.isFinite(quantity) || quantity <= 0) return null;
-
-  const basePrice = prices[type];
-  const pricePerDosa = basePrice + (isSpicy ? 10 : 0);
-  const total = pricePerDosa * quantity;
+  if (isPlainObject(isSpicy)) return defaultMenu.calculateOrder(type, quantity, isSpicy);
 
-  return {
-    type,
-    quantity,
-    pricePerDosa,
-    total,
-  };
+  const order = defaultMenu.calculateOrder(type, quantity, { spicy: isSpicy });
+  if (!order) return null;
+  const { modifiers, ...legacyOrder } = order;
+  return legacyOrder;
 }
@@ -0,0 +1,188 @@
+/**
+ * 🔥 Dosa Counter - Kitchen Order Ticket (KOT) Queue
+ *
+ * Bill ban gaya, ab tawa ki baari! Har priced order ko ek token milta hai,
+ * har line kitchen mein `queued → cooking → ready → served` se guzarti hai,
+ * aur counter ke upar wala display board status changes sunta hai.
+ *
+ * Function: createKitchenQueue({ cookTimes, stations, defaultStation = "tawa" })
+ *
+ *   - cookTimes: { [type]: minutes per dosa } — default Raju ke tawa ka timing
+ *   - stations: { [type]: stationName } — jo type yahan nahi, woh defaultStation pe
+ *   - Agar cookTimes/stations object nahi hai ya koi time positive nahi, return null
+ *
+ * Returns an object with these methods (private state closure mein):
+ *
+ *   - addTicket(orders)
+ *       orders: ek priced order ya array — { type, quantity } (calculateDosaOrder
+ *       result ya cart line jisme `name` ho). Token auto-increment from 1.
+ *       Returns token, ya -1 agar orders empty/invalid ya cook time unknown.
+ *   - advance(token, lineNo)
+ *       Line ko agle status pe le jaao. lineNo 1 se shuru.
+ *       Returns naya status, ya null agar line nahi mili / already served.
+ *   - advanceTicket(token)
+ *       Ticket ki har line ek step aage. Returns array of new statuses, ya null.
+ *   - getTicket(token)  => { token, lines: [...] } copy, ya null
+ *   - getQueue()        => saari lines jo abhi served nahi hui (copies, token order)
+ *   - getStationLoad()  => { [station]: { lines, dosas, minutes } } — sirf queued/cooking
+ *   - estimateWait(token)
+ *       Minutes jab tak ticket ki saari lines ready hon: har station pe pehle
+ *       ke tokens ki queued/cooking lines + apni lines. Sab ready ho toh 0,
+ *       unknown token pe null.
+ *   - onStatusChange(callback)
+ *       CALLBACK: callback({ token, lineNo, type, from, to }) har transition pe
+ *       (addTicket pe from = null, to = "queued"). Returns unsubscribe function.
+ *
+ * @example
+ *   const kitchen = createKitchenQueue();
+ *   kitchen.onStatusChange((e) => board.show(e));
+ *   const token = kitchen.addTicket([calculateDosaOrder("masala", 2), calculateDosaOrder("plain")]);
+ *   kitchen.estimateWait(token);   // => 16 (masala 6 x 2 + plain 4, same tawa)
+ *   kitchen.advance(token, 1);     // => "cooking"
+ */
+export const KOT_STATUSES = ['queued', 'cooking', 'ready', 'served'];
+
+const DEFAULT_COOK_TIMES = {
+  plain: 4,
+  masala: 6,
+  onion: 5,
+  butter: 5,
+  paper: 8,
+  cheese: 6,
+};
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+export function createKitchenQueue({
+  cookTimes = DEFAULT_COOK_TIMES,
+  stations = {},
+  defaultStation = 'tawa',
+} = {}) {
+  if (!isPlainObject(cookTimes) || !isPlainObject(stations)) return null;
+  if (!Object.values(cookTimes).every((t) => Number.isFinite(t) && t > 0)) return null;
+
+  const tickets = new Map();
+  const listeners = new Set();
+  let nextToken = 0;
+
+  const emit = (event) => {
+    for (const listener of [...listeners]) listener({ ...event });
+  };
+
+  const stationFor = (type) => stations[type] ?? defaultStation;
+
+  const toLine = (order) => {
+    if (!order || typeof order !== 'object') return null;
+    const type = order.type ?? order.name;
+    if (typeof type !== 'string') return null;
+    if (!Object.prototype.hasOwnProperty.call(cookTimes, type)) return null;
+    if (!Number.isFinite(order.quantity) || order.quantity <= 0) return null;
+    return {
+      type,
+      quantity: order.quantity,
+      station: stationFor(type),
+      minutes: cookTimes[type] * order.quantity,
+      status: 'queued',
+    };
+  };
+
+  const isActive = (line) => line.status === 'queued' || line.status === 'cooking';
+
+  const copyLine = (token, line, idx) => ({ token, lineNo: idx + 1, ...line });
+
+  const addTicket = (orders) => {
+    const list = Array.isArray(orders) ? orders : [orders];
+    if (list.length === 0) return -1;
+    const lines = list.map(toLine);
+    if (lines.some((line) => line === null)) return -1;
+
+    nextToken += 1;
+    const token = nextToken;
+    tickets.set(token, lines);
+    lines.forEach((line, idx) =>
+      emit({ token, lineNo: idx + 1, type: line.type, from: null, to: 'queued' })
+    );
+    return token;
+  };
+
+  const advance = (token, lineNo) => {
+    const lines = tickets.get(token);
+    const line = lines ? lines[lineNo - 1] : undefined;
+    if (!line) return null;
+    const idx = KOT_STATUSES.indexOf(line.status);
+    if (idx === KOT_STATUSES.length - 1) return null;
+
+    const from = line.status;
+    line.status = KOT_STATUSES[idx + 1];
+    emit({ token, lineNo, type: line.type, from, to: line.status });
+    return line.status;
+  };
+
+  const advanceTicket = (token) => {
+    const lines = tickets.get(token);
+    if (!lines) return null;
+    return lines.map((line, idx) => advance(token, idx + 1) ?? line.status);
+  };
+
+  const getTicket = (token) => {
+    const lines = tickets.get(token);
+    if (!lines) return null;
+    return { token, lines: lines.map((line, idx) => copyLine(token, line, idx)) };
+  };
+
+  const getQueue = () =>
+    [...tickets].flatMap(([token, lines]) =>
+      lines
+        .map((line, idx) => copyLine(token, line, idx))
+        .filter((line) => line.status !== 'served')
+    );
+
+  const getStationLoad = () => {
+    const load = {};
+    for (const lines of tickets.values()) {
+      for (const line of lines.filter(isActive)) {
+        const entry = load[line.station] ?? { lines: 0, dosas: 0, minutes: 0 };
+        entry.lines += 1;
+        entry.dosas += line.quantity;
+        entry.minutes += line.minutes;
+        load[line.station] = entry;
+      }
+    }
+    return load;
+  };
+
+  const estimateWait = (token) => {
+    const own = tickets.get(token);
+    if (!own) return null;
+
+    const waitPerStation = {};
+    for (const [otherToken, lines] of tickets) {
+      if (otherToken > token) break;
+      for (const line of lines.filter(isActive)) {
+        waitPerStation[line.station] = (waitPerStation[line.station] ?? 0) + line.minutes;
+      }
+    }
+
+    return own
+      .filter(isActive)
+      .reduce((max, line) => Math.max(max, waitPerStation[line.station]), 0);
+  };
+
+  const onStatusChange = (callback) => {
+    if (typeof callback !== 'function') return () => false;
+    listeners.add(callback);
+    return () => listeners.delete(callback);
+  };
+
+  return {
+    addTicket,
+    advance,
+    advanceTicket,
+    getTicket,
+    getQueue,
+    getStationLoad,
+    estimateWait,
+    onStatusChange,
+  };
+}
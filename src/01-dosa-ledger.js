@@ -0,0 +1,201 @@
+/**
+ * 📒 Dosa Counter - Daily Sales Ledger & Z-Report
+ *
+ * Din bhar calculateDosaOrder se jo orders bane, unka hisaab raat ko Raju ko
+ * chahiye: kaunsa dosa kitna bika, spicy kitne, kis ghante rush tha, aur
+ * cash/UPI/card mein kitna aaya. Yeh ledger har sale note karta hai aur
+ * end-of-day Z-report banata hai.
+ *
+ * Functions:
+ *
+ *   1. createSalesLedger({ utcOffsetMinutes = 330, now = Date.now })
+ *      - CLOSURE: private entries array, auto-incremented id (from 1)
+ *      - utcOffsetMinutes se business date aur hour nikalte hain (default IST)
+ *      - now: clock function (ms) — default timestamp aur "aaj" isi se
+ *      - recordSale(order, { paymentMode = "cash", timestamp = now(), isSpicy })
+ *          order: calculateDosaOrder result { type, quantity, total }
+ *          paymentMode: "cash" | "upi" | "card"
+ *          spicy = order.modifiers mein "spicy" hai ya nahi. Legacy order
+ *          (calculateDosaOrder("masala", 2, true) — bina modifiers) mein yeh pata
+ *          nahi chalta, toh uske saath isSpicy: true/false dena zaroori hai
+ *          Returns entry id, ya -1 agar order/paymentMode/timestamp invalid, ya
+ *          legacy order bina boolean isSpicy ke aaya
+ *      - getEntries(date?) => copies; date "YYYY-MM-DD" do toh sirf us din ki
+ *      - generateReport(date = aaj ki business date) => us EK din ka Z-report
+ *          (neeche), ya null agar us din koi sale nahi
+ *
+ *   2. Z-report shape:
+ *      { date, orders, dosas, grossSales, averageTicket,
+ *        byType: { [type]: { orders, quantity, sales } },
+ *        spicySplit: { spicy: {...}, nonSpicy: {...} },
+ *        hourly: [{ hour: 0..23, orders, sales }] (24 buckets),
+ *        paymentModes: { cash: {...}, upi: {...}, card: {...} } }
+ *      averageTicket = grossSales / orders, 2 decimal places
+ *
+ *   3. reportToCSV(report)  => "section,key,orders,quantity,sales" rows
+ *      reportToJSON(report) => pretty JSON string
+ *      Agar report invalid hai, return null
+ *
+ * @example
+ *   const ledger = createSalesLedger();
+ *   ledger.recordSale(calculateDosaOrder("masala", 2, { spicy: true }), { paymentMode: "upi" });
+ *   ledger.generateReport().byType   // aaj ki sales
+ *   // => { masala: { orders: 1, quantity: 2, sales: 140 } }
+ */
+export const PAYMENT_MODES = ['cash', 'upi', 'card'];
+
+const toMoney = (amount) => Number(amount.toFixed(2));
+
+const emptyBucket = () => ({ orders: 0, quantity: 0, sales: 0 });
+
+const addToBucket = (bucket, entry) => {
+  bucket.orders += 1;
+  bucket.quantity += entry.quantity;
+  bucket.sales = toMoney(bucket.sales + entry.total);
+  return bucket;
+};
+
+const toDate = (timestamp) => {
+  const date = timestamp instanceof Date ? new Date(timestamp.getTime()) : new Date(timestamp);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+export function createSalesLedger({ utcOffsetMinutes = 330, now = Date.now } = {}) {
+  if (!Number.isFinite(utcOffsetMinutes) || typeof now !== 'function') return null;
+
+  const entries = [];
+  let nextId = 0;
+
+  const shifted = (iso) => new Date(Date.parse(iso) + utcOffsetMinutes * 60 * 1000);
+  const businessDate = (iso) => shifted(iso).toISOString().slice(0, 10);
+  const businessHour = (iso) => shifted(iso).getUTCHours();
+
+  const recordSale = (
+    order,
+    { paymentMode = 'cash', timestamp = new Date(now()), isSpicy } = {}
+  ) => {
+    if (!order || typeof order !== 'object') return -1;
+    if (typeof order.type !== 'string' || order.type.length === 0) return -1;
+    if (!Number.isFinite(order.quantity) || order.quantity <= 0) return -1;
+    if (!Number.isFinite(order.total) || order.total < 0) return -1;
+    if (!PAYMENT_MODES.includes(paymentMode)) return -1;
+    const date = toDate(timestamp);
+    if (!date) return -1;
+
+    const hasModifiers = Array.isArray(order.modifiers);
+    if (!hasModifiers && typeof isSpicy !== 'boolean') return -1;
+    const spicy = hasModifiers ? order.modifiers.some((m) => m?.name === 'spicy') : isSpicy;
+
+    nextId += 1;
+    entries.push({
+      id: nextId,
+      type: order.type,
+      quantity: order.quantity,
+      total: order.total,
+      spicy,
+      paymentMode,
+      timestamp: date.toISOString(),
+    });
+    return nextId;
+  };
+
+  const getEntries = (date) =>
+    entries
+      .filter((entry) => date === undefined || businessDate(entry.timestamp) === date)
+      .map((entry) => ({ ...entry }));
+
+  const generateReport = (date = businessDate(new Date(now()).toISOString())) => {
+    const dayEntries = getEntries(date);
+    if (dayEntries.length === 0) return null;
+
+    const byType = {};
+    const spicySplit = { spicy: emptyBucket(), nonSpicy: emptyBucket() };
+    const hourly = Array.from({ length: 24 }, (_, hour) => ({ hour, orders: 0, sales: 0 }));
+    const paymentModes = Object.fromEntries(PAYMENT_MODES.map((mode) => [mode, emptyBucket()]));
+
+    for (const entry of dayEntries) {
+      byType[entry.type] = addToBucket(byType[entry.type] ?? emptyBucket(), entry);
+      addToBucket(entry.spicy ? spicySplit.spicy : spicySplit.nonSpicy, entry);
+      addToBucket(paymentModes[entry.paymentMode], entry);
+
+      const slot = hourly[businessHour(entry.timestamp)];
+      slot.orders += 1;
+      slot.sales = toMoney(slot.sales + entry.total);
+    }
+
+    const grossSales = toMoney(dayEntries.reduce((sum, entry) => sum + entry.total, 0));
+
+    return {
+      date,
+      orders: dayEntries.length,
+      dosas: dayEntries.reduce((sum, entry) => sum + entry.quantity, 0),
+      grossSales,
+      averageTicket: toMoney(grossSales / dayEntries.length),
+      byType,
+      spicySplit,
+      hourly,
+      paymentModes,
+    };
+  };
+
+  return {
+    recordSale,
+    getEntries,
+    generateReport,
+  };
+}
+
+const isReport = (report) =>
+  report &&
+  typeof report === 'object' &&
+  Number.isFinite(report.orders) &&
+  report.byType &&
+  report.spicySplit &&
+  Array.isArray(report.hourly) &&
+  report.paymentModes;
+
+const csvCell = (value) => {
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export function reportToCSV(report) {
+  if (!isReport(report)) return null;
+
+  const rows = [
+    ['section', 'key', 'orders', 'quantity', 'sales'],
+    ['summary', 'total', report.orders, report.dosas, report.grossSales],
+    ['summary', 'averageTicket', '', '', report.averageTicket],
+    ...Object.entries(report.byType).map(([type, b]) => [
+      'type',
+      type,
+      b.orders,
+      b.quantity,
+      b.sales,
+    ]),
+    ...Object.entries(report.spicySplit).map(([key, b]) => [
+      'spice',
+      key,
+      b.orders,
+      b.quantity,
+      b.sales,
+    ]),
+    ...report.hourly
+      .filter((slot) => slot.orders > 0)
+      .map((slot) => ['hour', String(slot.hour).padStart(2, '0'), slot.orders, '', slot.sales]),
+    ...Object.entries(report.paymentModes).map(([mode, b]) => [
+      'payment',
+      mode,
+      b.orders,
+      b.quantity,
+      b.sales,
+    ]),
+  ];
+
+  return rows.map((row) => row.map(csvCell).join(',')).join('\n');
+}
+
+export function reportToJSON(report) {
+  if (!isReport(report)) return null;
+  return JSON.stringify(report, null, 2);
+}
@@ -0,0 +1,356 @@
+/**
+ * 🏷️ Dosa Counter - Combo & Coupon Engine
+ *
+ * Raju ke counter pe offers chalte hain: "2 masala + 1 filter coffee Rs 150
+ * mein", "Rs 500 ke upar 10% off", "3 paper dosa pe 1 plain free". Offers
+ * pure data hain (JSON file se load ho sakte hain) aur engine sabse faydemand
+ * non-conflicting combination chunta hai.
+ *
+ * Promotion shapes (sab mein `id` string zaroori hai):
+ *
+ *   combo   => { id, type: "combo", items: { masala: 2, "filter coffee": 1 }, price: 150, maxApplications? }
+ *   bxgy    => { id, type: "bxgy", buy: { item: "paper", quantity: 3 }, get: { item: "plain", quantity: 1 }, maxApplications? }
+ *   percent => { id, type: "percent", percent: 10, minSubtotal?: 0, maxDiscount? }
+ *   flat    => { id, type: "flat", amount: 50, minSubtotal?: 0 }
+ *
+ * Rules:
+ *   - combo/bxgy ITEM-LEVEL hain: har application cart ke units consume karti
+ *     hai, isliye ek unit do offers mein nahi ja sakta
+ *   - percent/flat ORDER-LEVEL coupons hain: ek bill pe sirf ek, aur woh
+ *     item-level discount ke baad bachi amount pe lagta hai (minSubtotal bhi usi pe)
+ *   - Search ka kaam MAX_SEARCH_STEPS tak bounded hai. Bahut bade catering cart
+ *     pe engine greedy pass pe aa jaata hai (offers savings-per-unit ke order
+ *     mein) — counter atakta nahi, bas result hamesha sabse best na ho
+ *   - Ek naam ke saare units ka unit price = us naam ki sabse sasti line ka price
+ *
+ * Function: applyPromotions(lines, promotions)
+ *   - lines: cart lines [{ name, quantity, unitPrice }] ya calculateDosaOrder
+ *     results [{ type, quantity, pricePerDosa }]
+ *   - Return: { subtotal, totalSavings, payable, applied: [{ id, type, times, savings }] }
+ *   - Agar lines invalid/empty ya koi promotion invalid hai, return null
+ *
+ * @example
+ *   applyPromotions(
+ *     [{ name: "masala", quantity: 2, unitPrice: 60 }, { name: "filter coffee", quantity: 1, unitPrice: 40 }],
+ *     [{ id: "MASALA-COMBO", type: "combo", items: { masala: 2, "filter coffee": 1 }, price: 150 }]
+ *   )
+ *   // => { subtotal: 160, totalSavings: 10, payable: 150,
+ *   //      applied: [{ id: "MASALA-COMBO", type: "combo", times: 1, savings: 10 }] }
+ */
+const ITEM_LEVEL_TYPES = ['combo', 'bxgy'];
+const ORDER_LEVEL_TYPES = ['percent', 'flat'];
+export const MAX_SEARCH_STEPS = 250000;
+const SEARCH_BUDGET_EXCEEDED = Symbol('search budget exceeded');
+
+const toMoney = (amount) => Number(amount.toFixed(2));
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.length > 0;
+const isPositive = (value) => Number.isFinite(value) && value > 0;
+const isOptionalNonNegative = (value) =>
+  value === undefined || (Number.isFinite(value) && value >= 0);
+const isOptionalPositiveInt = (value) =>
+  value === undefined || (Number.isInteger(value) && value > 0);
+
+const isValidItemRef = (ref) =>
+  ref &&
+  typeof ref === 'object' &&
+  isNonEmptyString(ref.item) &&
+  Number.isInteger(ref.quantity) &&
+  ref.quantity > 0;
+
+export function isValidPromotion(promo) {
+  if (!promo || typeof promo !== 'object' || !isNonEmptyString(promo.id)) return false;
+
+  switch (promo.type) {
+    case 'combo': {
+      const entries =
+        promo.items && typeof promo.items === 'object' ? Object.entries(promo.items) : [];
+      return (
+        entries.length > 0 &&
+        entries.every(([, qty]) => Number.isInteger(qty) && qty > 0) &&
+        Number.isFinite(promo.price) &&
+        promo.price >= 0 &&
+        isOptionalPositiveInt(promo.maxApplications)
+      );
+    }
+    case 'bxgy':
+      return (
+        isValidItemRef(promo.buy) &&
+        isValidItemRef(promo.get) &&
+        isOptionalPositiveInt(promo.maxApplications)
+      );
+    case 'percent':
+      return (
+        isPositive(promo.percent) &&
+        promo.percent <= 100 &&
+        isOptionalNonNegative(promo.minSubtotal) &&
+        isOptionalNonNegative(promo.maxDiscount)
+      );
+    case 'flat':
+      return isPositive(promo.amount) && isOptionalNonNegative(promo.minSubtotal);
+    default:
+      return false;
+  }
+}
+
+const normaliseLine = (line) => {
+  if (!line || typeof line !== 'object') return null;
+  const name = line.name ?? line.type;
+  const unitPrice = line.unitPrice ?? line.pricePerDosa;
+  if (!isNonEmptyString(name)) return null;
+  if (!Number.isFinite(line.quantity) || line.quantity <= 0) return null;
+  if (!Number.isFinite(unitPrice) || unitPrice < 0) return null;
+  return { name, quantity: line.quantity, unitPrice };
+};
+
+const consumptionOf = (promo) => {
+  if (promo.type === 'combo') return { ...promo.items };
+  const needs = { [promo.buy.item]: promo.buy.quantity };
+  needs[promo.get.item] = (needs[promo.get.item] ?? 0) + promo.get.quantity;
+  return needs;
+};
+
+const savingsOf = (promo, unitPrices) => {
+  if (promo.type === 'bxgy') return promo.get.quantity * unitPrices[promo.get.item];
+  const value = Object.entries(promo.items).reduce(
+    (sum, [item, qty]) => sum + qty * unitPrices[item],
+    0
+  );
+  return value - promo.price;
+};
+
+const orderSavingsOf = (promo, amount) => {
+  if (amount < (promo.minSubtotal ?? 0)) return 0;
+  if (promo.type === 'flat') return Math.min(promo.amount, amount);
+  const discount = (amount * promo.percent) / 100;
+  return promo.maxDiscount === undefined ? discount : Math.min(discount, promo.maxDiscount);
+};
+
+export function applyPromotions(lines, promotions = []) {
+  if (!Array.isArray(lines) || lines.length === 0) return null;
+  if (!Array.isArray(promotions) || !promotions.every(isValidPromotion)) return null;
+
+  const normalised = lines.map(normaliseLine);
+  if (normalised.some((line) => line === null)) return null;
+
+  const available = {};
+  const unitPrices = {};
+  for (const { name, quantity, unitPrice } of normalised) {
+    available[name] = (available[name] ?? 0) + quantity;
+    unitPrices[name] = Math.min(unitPrices[name] ?? Infinity, unitPrice);
+  }
+  const subtotal = toMoney(normalised.reduce((sum, l) => sum + l.unitPrice * l.quantity, 0));
+
+  const itemRules = promotions
+    .filter((p) => ITEM_LEVEL_TYPES.includes(p.type))
+    .map((promo) => ({ promo, needs: consumptionOf(promo) }))
+    .filter(({ needs }) =>
+      Object.keys(needs).every((item) => Object.prototype.hasOwnProperty.call(available, item))
+    )
+    .map((rule) => ({ ...rule, savings: savingsOf(rule.promo, unitPrices) }))
+    .filter(({ savings }) => Math.round(savings * 100) > 0);
+  const orderRules = promotions.filter((p) => ORDER_LEVEL_TYPES.includes(p.type));
+
+  const bestCoupon = (amount) =>
+    orderRules.reduce(
+      (best, promo) => {
+        const savings = toMoney(orderSavingsOf(promo, amount));
+        return savings > best.savings ? { promo, savings } : best;
+      },
+      { promo: null, savings: 0 }
+    );
+
+  // Item-level search is a DP over rules: how many times to apply rule i,
+  // given the units left. Savings are kept in paise so sums stay exact.
+  const paise = itemRules.map(({ savings }) => Math.round(savings * 100));
+  const relevant = itemRules.map((_, i) => [
+    ...new Set(itemRules.slice(i).flatMap(({ needs }) => Object.keys(needs))),
+  ]);
+  // A rule whose units no later rule wants is simply applied as often as it can be.
+  const standalone = itemRules.map(({ needs }, i) =>
+    Object.keys(needs).every((item) => !(relevant[i + 1] ?? []).includes(item))
+  );
+
+  const maxTimes = (i, remaining) => {
+    const { promo, needs } = itemRules[i];
+    let times = promo.maxApplications ?? Infinity;
+    for (const [item, qty] of Object.entries(needs)) {
+      times = Math.min(times, Math.floor(remaining[item] / qty));
+    }
+    return times;
+  };
+
+  const consume = (i, remaining, times) => {
+    const next = { ...remaining };
+    for (const [item, qty] of Object.entries(itemRules[i].needs)) next[item] -= qty * times;
+    return next;
+  };
+
+  // Only units that later rules can still use matter, so states share a key.
+  const keyOf = (i, remaining) => `${i}|${relevant[i].map((item) => remaining[item]).join(',')}`;
+
+  // The key still grows with every item a later rule can use, so the search
+  // counts its steps and gives up past MAX_SEARCH_STEPS (see greedyPlan).
+  let steps = 0;
+  const step = () => {
+    steps += 1;
+    if (steps > MAX_SEARCH_STEPS) throw SEARCH_BUDGET_EXCEEDED;
+  };
+
+  const maxMemo = new Map();
+  const maxSavings = (i, remaining) => {
+    if (i === itemRules.length) return 0;
+    const key = keyOf(i, remaining);
+    if (maxMemo.has(key)) return maxMemo.get(key);
+
+    let best = 0;
+    for (let times = maxTimes(i, remaining); times >= 0; times -= 1) {
+      step();
+      const total = times * paise[i] + maxSavings(i + 1, consume(i, remaining, times));
+      if (total > best) best = total;
+      if (standalone[i]) break;
+    }
+    maxMemo.set(key, best);
+    return best;
+  };
+
+  // Largest saving not above `cap`. A coupon's minSubtotal caps how much the
+  // item-level offers may take off, and more item savings never hurt below that.
+  const cappedMemo = new Map();
+  const cappedSavings = (i, remaining, cap) => {
+    const unbounded = maxSavings(i, remaining);
+    if (unbounded <= cap) return unbounded;
+    const key = `${keyOf(i, remaining)}|${cap}`;
+    if (cappedMemo.has(key)) return cappedMemo.get(key);
+
+    let best = 0;
+    const most = Math.min(maxTimes(i, remaining), Math.floor(cap / paise[i]));
+    for (let times = most; times >= 0; times -= 1) {
+      step();
+      const next = consume(i, remaining, times);
+      if (times * paise[i] + maxSavings(i + 1, next) <= best) continue;
+      const total = times * paise[i] + cappedSavings(i + 1, next, cap - times * paise[i]);
+      if (total > best) best = total;
+      if (best === cap) break;
+    }
+    cappedMemo.set(key, best);
+    return best;
+  };
+
+  // Walks the DP again to recover how many times each rule was applied.
+  const timesFor = (target) => {
+    const times = [];
+    let remaining = available;
+    let left = target;
+    for (let i = 0; i < itemRules.length; i += 1) {
+      let count = Math.min(maxTimes(i, remaining), Math.floor(left / paise[i]));
+      const reachable = (n) => {
+        const rest = left - n * paise[i];
+        return cappedSavings(i + 1, consume(i, remaining, n), rest) === rest;
+      };
+      while (!reachable(count)) count -= 1;
+      times.push(count);
+      remaining = consume(i, remaining, count);
+      left -= count * paise[i];
+    }
+    return times;
+  };
+
+  const evaluate = (itemPaise) => {
+    const itemSavings = itemPaise / 100;
+    const coupon = bestCoupon(subtotal - itemSavings);
+    return { itemPaise, total: toMoney(itemSavings + coupon.savings), coupon };
+  };
+
+  // Coupon caps: each coupon's minSubtotal limits how much item savings may take off.
+  const capsBelow = (unbounded) =>
+    orderRules
+      .map((promo) => Math.round((subtotal - (promo.minSubtotal ?? 0)) * 100))
+      .filter((cap) => cap >= 0 && cap < unbounded);
+
+  const exactPlan = () => {
+    const unbounded = maxSavings(0, available);
+    let best = evaluate(unbounded);
+    for (const cap of capsBelow(unbounded)) {
+      const candidate = evaluate(cappedSavings(0, available, cap));
+      if (candidate.total > best.total) best = candidate;
+    }
+    return { ...best, times: timesFor(best.itemPaise) };
+  };
+
+  // Fallback: one application at a time, best savings per unit first. On a tie
+  // the rule whose scarcest item has the most units left goes, so combos share.
+  const perUnit = itemRules.map(
+    ({ needs }, i) => paise[i] / Object.values(needs).reduce((sum, qty) => sum + qty, 0)
+  );
+  const headroom = (i, remaining) =>
+    Math.min(...Object.entries(itemRules[i].needs).map(([item, qty]) => remaining[item] / qty));
+  const greedyTimes = (cap) => {
+    const times = itemRules.map(() => 0);
+    let remaining = available;
+    let left = cap;
+    for (;;) {
+      const fits = itemRules
+        .map((_, i) => i)
+        .filter(
+          (i) =>
+            paise[i] <= left &&
+            times[i] < (itemRules[i].promo.maxApplications ?? Infinity) &&
+            maxTimes(i, remaining) > 0
+        );
+      if (fits.length === 0) return times;
+      const next = fits.reduce((a, b) =>
+        perUnit[b] > perUnit[a] ||
+        (perUnit[b] === perUnit[a] && headroom(b, remaining) > headroom(a, remaining))
+          ? b
+          : a
+      );
+      times[next] += 1;
+      remaining = consume(next, remaining, 1);
+      left -= paise[next];
+    }
+  };
+  const greedyPlan = () => {
+    const planFor = (times) => ({
+      ...evaluate(times.reduce((sum, count, i) => sum + count * paise[i], 0)),
+      times,
+    });
+    const unbounded = planFor(greedyTimes(Infinity));
+    return capsBelow(unbounded.itemPaise)
+      .map((cap) => planFor(greedyTimes(cap)))
+      .reduce((best, candidate) => (candidate.total > best.total ? candidate : best), unbounded);
+  };
+
+  let best;
+  try {
+    best = exactPlan();
+  } catch (error) {
+    if (error !== SEARCH_BUDGET_EXCEEDED) throw error;
+    best = greedyPlan();
+  }
+
+  const applied = itemRules
+    .map(({ promo, savings }, i) => ({
+      id: promo.id,
+      type: promo.type,
+      times: best.times[i],
+      savings: toMoney(savings * best.times[i]),
+    }))
+    .filter((entry) => entry.times > 0);
+
+  if (best.coupon.promo) {
+    applied.push({
+      id: best.coupon.promo.id,
+      type: best.coupon.promo.type,
+      times: 1,
+      savings: best.coupon.savings,
+    });
+  }
+
+  return {
+    subtotal,
+    totalSavings: best.total,
+    payable: toMoney(subtotal - best.total),
+    applied,
+  };
+}
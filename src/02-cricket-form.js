@@ -0,0 +1,141 @@
+/**
+ * 🏏 Cricket Player Form - Rolling Stats & Trends
+ *
+ * Career average sab chhupa deta hai — khiladi abhi form mein hai ya nahi?
+ * Chronological innings list do (purani se nayi) aur yeh functions pichhle N
+ * matches ka rolling strike rate, average, economy, exponentially weighted
+ * form score aur trend (improving/declining/stable) nikalte hain.
+ * Rates 02-cricket-rates ke helpers se hi aate hain. Sab ARROW FUNCTIONS.
+ *
+ * Innings entry: { runs, balls, isOut = true, runsConceded, ballsBowled | overs }
+ *
+ * Functions:
+ *
+ *   1. rollingStrikeRate(innings, window = 5)
+ *   2. rollingAverage(innings, window = 5)
+ *   3. rollingEconomy(innings, window = 5)
+ *      - Har innings ke liye pichhli `window` innings (khud samet) ka rate
+ *      - Return array (same length), ya null agar innings array nahi /
+ *        window positive integer nahi
+ *
+ *   4. calcFormScore(values, alpha = 0.3)
+ *      - EWMA: score = alpha * value + (1 - alpha) * previous score
+ *      - Nayi innings ka zyada wazan. 2 decimal places. Empty => 0
+ *
+ *   5. getTrend(values, { tolerance = 0.05, higherIsBetter = true })
+ *      - Least-squares slope se poore span ka change, mean ke relative
+ *      - change > tolerance => "improving", < -tolerance => "declining", warna "stable"
+ *      - higherIsBetter false (economy) ho toh direction ulti
+ *
+ *   6. buildFormSection(innings, { window = 5, alpha = 0.3 })
+ *      - => { matches, window, strikeRate, average, economy,
+ *             battingForm, bowlingForm, battingTrend, bowlingTrend }
+ *      - strikeRate/average/economy = latest rolling values
+ *      - batting form/trend runs per innings pe; bowling sirf un innings pe jisme bowling ki
+ *      - Agar innings invalid, return null
+ *
+ * @example
+ *   rollingStrikeRate([{ runs: 30, balls: 20 }, { runs: 10, balls: 20 }], 2)
+ *   // => [150, 100]
+ */
+import { calcStrikeRate, calcEconomy, calcBattingAvg, parseOvers } from './02-cricket-rates.js';
+
+const amount = (value) => (Number.isFinite(value) && value > 0 ? value : 0);
+
+const ballsBowledOf = (inning) =>
+  Number.isInteger(inning.ballsBowled) ? inning.ballsBowled : parseOvers(inning.overs) ?? 0;
+
+const isValidInnings = (innings) =>
+  Array.isArray(innings) && innings.every((inning) => inning && typeof inning === 'object');
+
+const rolling = (innings, window, calc) => {
+  if (!isValidInnings(innings)) return null;
+  if (!Number.isInteger(window) || window <= 0) return null;
+  return innings.map((_, idx) => calc(innings.slice(Math.max(0, idx - window + 1), idx + 1)));
+};
+
+const sumOf = (list, pick) => list.reduce((sum, item) => sum + pick(item), 0);
+
+export const rollingStrikeRate = (innings, window = 5) =>
+  rolling(innings, window, (slice) =>
+    calcStrikeRate(
+      sumOf(slice, (i) => amount(i.runs)),
+      sumOf(slice, (i) => amount(i.balls))
+    )
+  );
+
+export const rollingAverage = (innings, window = 5) =>
+  rolling(innings, window, (slice) =>
+    calcBattingAvg(
+      sumOf(slice, (i) => amount(i.runs)),
+      slice.length,
+      slice.filter((i) => i.isOut === false).length
+    )
+  );
+
+export const rollingEconomy = (innings, window = 5) =>
+  rolling(innings, window, (slice) =>
+    calcEconomy(sumOf(slice, (i) => amount(i.runsConceded)), {
+      balls: sumOf(slice, ballsBowledOf),
+    })
+  );
+
+export const calcFormScore = (values, alpha = 0.3) => {
+  if (!Array.isArray(values) || values.length === 0) return 0;
+  if (!Number.isFinite(alpha) || alpha <= 0 || alpha > 1) return 0;
+  const nums = values.filter(Number.isFinite);
+  if (nums.length === 0) return 0;
+  const score = nums
+    .slice(1)
+    .reduce((prev, value) => alpha * value + (1 - alpha) * prev, nums[0]);
+  return Number(score.toFixed(2));
+};
+
+export const getTrend = (values, { tolerance = 0.05, higherIsBetter = true } = {}) => {
+  const nums = Array.isArray(values) ? values.filter(Number.isFinite) : [];
+  const n = nums.length;
+  if (n < 2) return 'stable';
+
+  const meanX = (n - 1) / 2;
+  const meanY = nums.reduce((sum, v) => sum + v, 0) / n;
+  if (meanY === 0) return 'stable';
+
+  let num = 0;
+  let den = 0;
+  nums.forEach((y, x) => {
+    num += (x - meanX) * (y - meanY);
+    den += (x - meanX) ** 2;
+  });
+  const relativeChange = ((num / den) * (n - 1)) / Math.abs(meanY);
+  const signed = higherIsBetter ? relativeChange : -relativeChange;
+
+  if (signed > tolerance) return 'improving';
+  if (signed < -tolerance) return 'declining';
+  return 'stable';
+};
+
+export const buildFormSection = (innings, { window = 5, alpha = 0.3 } = {}) => {
+  const strikeRates = rollingStrikeRate(innings, window);
+  if (strikeRates === null) return null;
+
+  const averages = rollingAverage(innings, window);
+  const economies = rollingEconomy(innings, window);
+  const last = (list) => (list.length > 0 ? list[list.length - 1] : 0);
+
+  const runsPerInnings = innings.map((i) => amount(i.runs));
+  const bowlingEconomies = innings
+    .filter((i) => ballsBowledOf(i) > 0)
+    .map((i) => calcEconomy(amount(i.runsConceded), { balls: ballsBowledOf(i) }));
+
+  return {
+    matches: innings.length,
+    window,
+    strikeRate: last(strikeRates),
+    average: last(averages),
+    economy: last(economies),
+    battingForm: calcFormScore(runsPerInnings, alpha),
+    bowlingForm: calcFormScore(bowlingEconomies, alpha),
+    battingTrend: getTrend(runsPerInnings),
+    bowlingTrend: getTrend(bowlingEconomies, { higherIsBetter: false }),
+  };
+};
@@ -0,0 +1,251 @@
+/**
+ * 🏏 Cricket Scorecard Import - Cricsheet Ball-by-Ball Files
+ *
+ * Har match ke baad numbers haath se `player` object mein type karna band!
+ * Cricsheet (cricsheet.org) har match ka ball-by-ball data deta hai. Yeh
+ * importer match files padhta hai aur har khiladi ka woh exact shape banata
+ * hai jo getPlayerCard ko chahiye. Kharab deliveries chupchap stats nahi
+ * bigaadti — unka match aur ball reference ke saath report milta hai.
+ * Is module mein bhi sab ARROW FUNCTIONS hain.
+ *
+ * Functions:
+ *
+ *   1. aggregateCricsheetMatches(matches)
+ *      - PURE: matches = [{ source, data }] — data = parsed Cricsheet JSON
+ *        { info, innings: [{ team, overs: [{ over, deliveries: [...] }] }] }
+ *      - Har valid delivery se:
+ *          runs/balls        => batter ke runs (runs.batter), balls (wide nahi)
+ *          innings/notOuts   => innings jisme batter ya non_striker bane; out nahi hue toh notOut
+ *          runsConceded      => runs.batter + wides + noballs (byes/legbyes nahi)
+ *          ballsBowled/overs => legal deliveries (wide/noball nahi)
+ *      - "retired hurt" / "retired not out" dismissal nahi gina jaata
+ *      - Return: { players: [{ name, runs, balls, totalRuns, innings, notOuts,
+ *                               runsConceded, ballsBowled, overs }],
+ *                  errors: [{ match, innings, ball, reason }] }
+ *        ball = "over.delivery" (Cricsheet ki tarah over 0 se, delivery 1 se)
+ *      - Malformed delivery skip hoti hai aur errors mein aati hai
+ *      - Purana Cricsheet YAML shape bhi chalta hai:
+ *          innings: [{ "1st innings": { team, deliveries: [{ 0.1: { batsman, runs: { batsman,
+ *          extras, total }, extras, wicket } }] } }]
+ *        — naye shape mein badal ke wahi rules lagte hain
+ *      - Innings jisme overs array nahi (ya purana shape bhi nahi), ya over jisme
+ *        deliveries array nahi, poora skip hota hai aur errors mein aata hai
+ *        (innings ke liye ball null; over ke liye ball = over number)
+ *
+ *   2. importCricsheetFiles(paths, { parse = js-yaml ka load })
+ *      - ASYNC: files disk se padhta hai (node:fs/promises)
+ *      - .json files JSON.parse se; .yaml/.yml files `parse` se (default js-yaml,
+ *        apna YAML parser dena ho toh do). Koi aur extension => "unsupported file type"
+ *      - Unreadable/unparseable file => errors mein { match: path, innings: null, ball: null, reason }
+ *      - Returns Promise of aggregateCricsheetMatches ka result
+ *
+ * @example
+ *   const { players, errors } = await importCricsheetFiles(["./data/1359475.json"]);
+ *   players.map((p) => getPlayerCard(p));
+ */
+import { readFile } from 'node:fs/promises';
+import { extname } from 'node:path';
+import { load as loadYaml } from 'js-yaml';
+import { formatOvers } from './02-cricket-stats.js';
+
+const NOT_DISMISSED = ['retired hurt', 'retired not out'];
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.length > 0;
+const isRunCount = (value) => Number.isInteger(value) && value >= 0;
+
+// Legacy deliveries are one-key objects: { "0.1": { batsman, bowler, non_striker, runs, ... } }.
+const fromLegacyDelivery = (entry) => {
+  const keys = entry && typeof entry === 'object' ? Object.keys(entry) : [];
+  const d = keys.length === 1 ? entry[keys[0]] : null;
+  if (!d || typeof d !== 'object' || !Number.isFinite(Number(keys[0]))) return { over: null };
+
+  const converted = { ...d, batter: d.batsman };
+  delete converted.batsman;
+  delete converted.wicket;
+  if (d.runs && typeof d.runs === 'object') {
+    converted.runs = { batter: d.runs.batsman, extras: d.runs.extras, total: d.runs.total };
+  }
+  if (d.wicket !== undefined) converted.wickets = [d.wicket];
+  return { over: Math.floor(Number(keys[0])), delivery: converted };
+};
+
+const legacyInningOf = (inning) => {
+  const keys = inning && typeof inning === 'object' ? Object.keys(inning) : [];
+  const body = keys.length === 1 ? inning[keys[0]] : null;
+  return body && typeof body === 'object' && Array.isArray(body.deliveries) ? body : null;
+};
+
+// Groups legacy deliveries into { over, deliveries } blocks; unparseable entries
+// stay in the current over as null so they are reported like any bad delivery.
+const oversFromLegacy = (deliveries) => {
+  const overs = [];
+  for (const entry of deliveries) {
+    const { over, delivery } = fromLegacyDelivery(entry);
+    const current = overs[overs.length - 1];
+    if (over === null) {
+      if (current) current.deliveries.push(null);
+      else overs.push({ over: 0, deliveries: [null] });
+    } else if (current && current.over === over) {
+      current.deliveries.push(delivery);
+    } else {
+      overs.push({ over, deliveries: [delivery] });
+    }
+  }
+  return overs;
+};
+
+const oversOf = (inning) => {
+  if (Array.isArray(inning?.overs)) return inning.overs;
+  const legacy = inning?.overs === undefined ? legacyInningOf(inning) : null;
+  return legacy ? oversFromLegacy(legacy.deliveries) : null;
+};
+
+const validateDelivery = (d) => {
+  if (!d || typeof d !== 'object') return 'delivery is not an object';
+  for (const field of ['batter', 'bowler', 'non_striker']) {
+    if (!isNonEmptyString(d[field])) return `missing ${field}`;
+  }
+  const { runs } = d;
+  if (!runs || ![runs.batter, runs.extras, runs.total].every(isRunCount)) {
+    return 'runs must have non-negative integer batter, extras and total';
+  }
+  if (runs.batter + runs.extras !== runs.total) return 'runs.total does not match batter + extras';
+  if (d.extras !== undefined) {
+    if (!d.extras || typeof d.extras !== 'object') return 'extras is not an object';
+    if (!Object.values(d.extras).every(isRunCount)) {
+      return 'extras values must be non-negative integers';
+    }
+  }
+  if (d.wickets !== undefined) {
+    if (!Array.isArray(d.wickets)) return 'wickets is not an array';
+    for (const w of d.wickets) {
+      if (!w || !isNonEmptyString(w.kind) || !isNonEmptyString(w.player_out)) {
+        return 'wicket needs kind and player_out';
+      }
+      if (w.player_out !== d.batter && w.player_out !== d.non_striker) {
+        return `player_out ${w.player_out} is not at the crease`;
+      }
+    }
+  }
+  return null;
+};
+
+export const aggregateCricsheetMatches = (matches) => {
+  const stats = new Map();
+  const errors = [];
+
+  const statsFor = (name) => {
+    if (!stats.has(name)) {
+      stats.set(name, {
+        name,
+        runs: 0,
+        balls: 0,
+        innings: 0,
+        notOuts: 0,
+        runsConceded: 0,
+        ballsBowled: 0,
+      });
+    }
+    return stats.get(name);
+  };
+
+  for (const { source, data } of Array.isArray(matches) ? matches : []) {
+    const match = source ?? null;
+    if (!data || !Array.isArray(data.innings)) {
+      errors.push({ match, innings: null, ball: null, reason: 'match has no innings array' });
+      continue;
+    }
+
+    data.innings.forEach((inning, inningIdx) => {
+      const inningNo = inningIdx + 1;
+      const appeared = new Set();
+      const dismissed = new Set();
+      const overs = oversOf(inning);
+      if (overs === null) {
+        errors.push({ match, innings: inningNo, ball: null, reason: 'innings has no overs array' });
+        return;
+      }
+
+      overs.forEach((over, overIdx) => {
+        if (!over || !Array.isArray(over.deliveries)) {
+          const ball = String(over?.over ?? overIdx);
+          errors.push({ match, innings: inningNo, ball, reason: 'over has no deliveries array' });
+          return;
+        }
+        over.deliveries.forEach((d, idx) => {
+          const ball = `${over.over}.${idx + 1}`;
+          const problem = validateDelivery(d);
+          if (problem) {
+            errors.push({ match, innings: inningNo, ball, reason: problem });
+            return;
+          }
+
+          const extras = d.extras ?? {};
+          const isWide = (extras.wides ?? 0) > 0;
+          const isNoBall = (extras.noballs ?? 0) > 0;
+
+          const batter = statsFor(d.batter);
+          statsFor(d.non_striker);
+          appeared.add(d.batter);
+          appeared.add(d.non_striker);
+          batter.runs += d.runs.batter;
+          if (!isWide) batter.balls += 1;
+
+          const bowler = statsFor(d.bowler);
+          bowler.runsConceded += d.runs.batter + (extras.wides ?? 0) + (extras.noballs ?? 0);
+          if (!isWide && !isNoBall) bowler.ballsBowled += 1;
+
+          for (const w of d.wickets ?? []) {
+            if (!NOT_DISMISSED.includes(w.kind)) dismissed.add(w.player_out);
+          }
+        });
+      });
+
+      for (const name of appeared) {
+        const player = statsFor(name);
+        player.innings += 1;
+        if (!dismissed.has(name)) player.notOuts += 1;
+      }
+    });
+  }
+
+  const players = [...stats.values()].map((p) => ({
+    name: p.name,
+    runs: p.runs,
+    balls: p.balls,
+    totalRuns: p.runs,
+    innings: p.innings,
+    notOuts: p.notOuts,
+    runsConceded: p.runsConceded,
+    ballsBowled: p.ballsBowled,
+    overs: formatOvers(p.ballsBowled),
+  }));
+
+  return { players, errors };
+};
+
+export const importCricsheetFiles = async (paths, { parse = loadYaml } = {}) => {
+  const matches = [];
+  const fileErrors = [];
+
+  for (const path of Array.isArray(paths) ? paths : []) {
+    try {
+      const text = await readFile(path, 'utf8');
+      const ext = extname(path).toLowerCase();
+      let data;
+      if (ext === '.json') {
+        data = JSON.parse(text);
+      } else if ((ext === '.yaml' || ext === '.yml') && typeof parse === 'function') {
+        data = parse(text);
+      } else {
+        throw new Error(`unsupported file type ${ext || '(none)'}`);
+      }
+      matches.push({ source: path, data });
+    } catch (err) {
+      fileErrors.push({ match: path, innings: null, ball: null, reason: err.message });
+    }
+  }
+
+  const result = aggregateCricsheetMatches(matches);
+  return { players: result.players, errors: [...fileErrors, ...result.errors] };
+};
@@ -0,0 +1,75 @@
+/**
+ * 🏏 Cricket Rates - Strike Rate, Economy, Average & Overs Notation
+ *
+ * 02-cricket-stats ke number wale helpers yahan rehte hain taaki roles aur form
+ * inhe use kar sakein bina getPlayerCard wali file import kiye (warna
+ * stats -> form -> stats jaisa circular import banta hai).
+ * 02-cricket-stats inhe same naam se re-export karta hai — docs wahan hain.
+ *
+ * Functions: calcStrikeRate, parseOvers, formatOvers, calcEconomy,
+ *   calcBowlingAvg, calcBowlingStrikeRate, calcBattingAvg
+ *
+ * @example
+ *   calcEconomy(95, "10.5")  // => 8.77 (65 balls, not 10.5 overs)
+ */
+export const calcStrikeRate = (runs, balls) => {
+  if (!Number.isFinite(runs) || !Number.isFinite(balls)) return 0;
+  if (balls <= 0 || runs < 0) return 0;
+  return Number(((runs / balls) * 100).toFixed(2));
+};
+
+export const parseOvers = (overs, ballsPerOver = 6) => {
+  if (!Number.isInteger(ballsPerOver) || ballsPerOver <= 0) return null;
+  if (typeof overs === 'number' && !Number.isFinite(overs)) return null;
+  if (typeof overs !== 'number' && typeof overs !== 'string') return null;
+
+  const match = /^(\d+)(?:\.(\d+))?$/.exec(String(overs).trim());
+  if (!match) return null;
+  const completedOvers = Number(match[1]);
+  const extraBalls = match[2] === undefined ? 0 : Number(match[2]);
+  if (extraBalls >= ballsPerOver) return null;
+  return completedOvers * ballsPerOver + extraBalls;
+};
+
+export const formatOvers = (balls, ballsPerOver = 6) => {
+  if (!Number.isInteger(balls) || balls < 0) return null;
+  if (!Number.isInteger(ballsPerOver) || ballsPerOver <= 0) return null;
+  return `${Math.floor(balls / ballsPerOver)}.${balls % ballsPerOver}`;
+};
+
+const toBalls = (overs, ballsPerOver) => {
+  if (overs && typeof overs === 'object') {
+    return Number.isInteger(overs.balls) && overs.balls >= 0 ? overs.balls : null;
+  }
+  return parseOvers(overs, ballsPerOver);
+};
+
+export const calcEconomy = (runsConceded, overs, { ballsPerOver = 6 } = {}) => {
+  if (!Number.isFinite(runsConceded) || runsConceded < 0) return 0;
+  if (!Number.isInteger(ballsPerOver) || ballsPerOver <= 0) return 0;
+  const balls = toBalls(overs, ballsPerOver);
+  if (!balls) return 0;
+  return Number(((runsConceded / balls) * ballsPerOver).toFixed(2));
+};
+
+export const calcBowlingAvg = (runsConceded, wickets) => {
+  if (!Number.isFinite(runsConceded) || !Number.isFinite(wickets)) return 0;
+  if (wickets <= 0 || runsConceded < 0) return 0;
+  return Number((runsConceded / wickets).toFixed(2));
+};
+
+export const calcBowlingStrikeRate = (overs, wickets, { ballsPerOver = 6 } = {}) => {
+  if (!Number.isFinite(wickets) || wickets <= 0) return 0;
+  const balls = toBalls(overs, ballsPerOver);
+  if (balls === null) return 0;
+  return Number((balls / wickets).toFixed(2));
+};
+
+export const calcBattingAvg = (totalRuns, innings, notOuts = 0) => {
+  if (!Number.isFinite(totalRuns) || !Number.isFinite(innings) || !Number.isFinite(notOuts)) {
+    return 0;
+  }
+  const outs = innings - notOuts;
+  if (outs <= 0) return 0;
+  return Number((totalRuns / outs).toFixed(2));
+};
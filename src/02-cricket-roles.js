@@ -0,0 +1,165 @@
+/**
+ * 🏏 Cricket Player Roles - Rules-Driven Classifier
+ *
+ * isAllRounder sirf "avg > 30 aur economy < 8" jaanta hai, par selectors ko
+ * poori tasveer chahiye: specialist batter, bowler, all-rounder,
+ * wicketkeeper-batter, finisher, death bowler. Har format (T20, ODI, Test)
+ * ke thresholds alag hain aur har role ke saath reasons bhi milte hain.
+ * Is module mein bhi sab ARROW FUNCTIONS hain.
+ *
+ * Function: classifyPlayerRoles(stats, { format = "T20", thresholds = {} })
+ *
+ *   - stats: { battingAvg, strikeRate, economy, ballsBowled, innings, notOuts,
+ *              isWicketkeeper, deathOvers | deathBallsBowled, deathRunsConceded }
+ *     (getPlayerCard wale numbers; jo field nahi hai woh role match nahi karega)
+ *   - thresholds: ROLE_THRESHOLDS[format] ke upar per-role override,
+ *     jaise { finisher: { minStrikeRate: 160 } }
+ *   - Roles:
+ *       "specialist batter"       => batting criteria haan, bowling criteria nahi
+ *       "bowler"                  => bowling criteria haan, batting nahi
+ *       "all-rounder"             => battingAvg > minAvg aur economy < maxEconomy (strict,
+ *                                    bilkul isAllRounder jaisa — 30/8 all-rounder nahi hai)
+ *         "bowler" aur "all-rounder" dono ko ballsBowled >= minBalls chahiye — ek over
+ *         daal dene se koi batter all-rounder nahi banta
+ *       "wicketkeeper-batter"     => isWicketkeeper aur battingAvg >= minAvg
+ *       "finisher"                => strikeRate >= minStrikeRate aur notOuts/innings >= minNotOutRatio
+ *       "death bowler"            => deathOvers >= minOvers aur death economy <= maxEconomy
+ *         deathOvers cricket notation mein hai (10.5 = 65 balls), ya deathBallsBowled do
+ *     Threshold null ho (jaise Test mein finisher) toh woh role kabhi match nahi hota
+ *   - Return: [{ role, reasons: [string] }] — ya null agar stats/format invalid
+ *
+ * @example
+ *   classifyPlayerRoles({ battingAvg: 32, strikeRate: 145, economy: 7.4, ballsBowled: 600 })
+ *   // => [{ role: "all-rounder",
+ *   //      reasons: ["battingAvg 32 > 30", "economy 7.4 < 8", "ballsBowled 600 >= 60"] }]
+ */
+import { calcEconomy, parseOvers, formatOvers } from './02-cricket-rates.js';
+
+export const ROLE_THRESHOLDS = {
+  T20: {
+    batter: { minAvg: 25, minStrikeRate: 130 },
+    bowler: { maxEconomy: 8, minBalls: 60 },
+    allRounder: { minAvg: 30, maxEconomy: 8, minBalls: 60 },
+    wicketkeeper: { minAvg: 20 },
+    finisher: { minStrikeRate: 140, minNotOutRatio: 0.25 },
+    deathBowler: { maxEconomy: 9, minOvers: 10 },
+  },
+  ODI: {
+    batter: { minAvg: 35, minStrikeRate: 80 },
+    bowler: { maxEconomy: 5.5, minBalls: 120 },
+    allRounder: { minAvg: 30, maxEconomy: 5.5, minBalls: 120 },
+    wicketkeeper: { minAvg: 25 },
+    finisher: { minStrikeRate: 100, minNotOutRatio: 0.25 },
+    deathBowler: { maxEconomy: 7, minOvers: 20 },
+  },
+  Test: {
+    batter: { minAvg: 40, minStrikeRate: 0 },
+    bowler: { maxEconomy: 3.5, minBalls: 300 },
+    allRounder: { minAvg: 30, maxEconomy: 3.5, minBalls: 300 },
+    wicketkeeper: { minAvg: 30 },
+    finisher: null,
+    deathBowler: null,
+  },
+};
+
+const num = (value) => (Number.isFinite(value) ? value : null);
+
+const round2 = (value) => Number(value.toFixed(2));
+
+const mergeThresholds = (base, overrides) => {
+  const merged = {};
+  for (const key of Object.keys(base)) {
+    const override = overrides?.[key];
+    if (override === null) merged[key] = null;
+    else if (override && base[key]) merged[key] = { ...base[key], ...override };
+    else if (override) merged[key] = { ...override };
+    else merged[key] = base[key] && { ...base[key] };
+  }
+  return merged;
+};
+
+const battingReasons = (stats, rule) => {
+  const avg = num(stats.battingAvg);
+  const sr = num(stats.strikeRate);
+  if (!rule || avg === null || sr === null) return null;
+  if (avg < rule.minAvg || sr < rule.minStrikeRate) return null;
+  return [`battingAvg ${avg} >= ${rule.minAvg}`, `strikeRate ${sr} >= ${rule.minStrikeRate}`];
+};
+
+const hasBowlingSample = (stats, rule) =>
+  stats.ballsBowled > 0 && stats.ballsBowled >= (rule.minBalls ?? 0);
+
+const bowlingReasons = (stats, rule) => {
+  const economy = num(stats.economy);
+  if (!rule || economy === null || !hasBowlingSample(stats, rule)) return null;
+  if (economy > rule.maxEconomy) return null;
+  return [
+    `economy ${economy} <= ${rule.maxEconomy}`,
+    `ballsBowled ${stats.ballsBowled} >= ${rule.minBalls ?? 0}`,
+  ];
+};
+
+export const classifyPlayerRoles = (stats, { format = 'T20', thresholds = {} } = {}) => {
+  if (!stats || typeof stats !== 'object') return null;
+  if (!Object.prototype.hasOwnProperty.call(ROLE_THRESHOLDS, format)) return null;
+
+  const rules = mergeThresholds(ROLE_THRESHOLDS[format], thresholds);
+  const roles = [];
+  const add = (role, reasons) => roles.push({ role, reasons });
+
+  const batting = battingReasons(stats, rules.batter);
+  const bowling = bowlingReasons(stats, rules.bowler);
+  if (batting && !bowling) add('specialist batter', batting);
+  if (bowling && !batting) add('bowler', bowling);
+
+  const ar = rules.allRounder;
+  const avg = num(stats.battingAvg);
+  const economy = num(stats.economy);
+  if (
+    ar &&
+    avg !== null &&
+    economy !== null &&
+    hasBowlingSample(stats, ar) &&
+    avg > ar.minAvg &&
+    economy < ar.maxEconomy
+  ) {
+    add('all-rounder', [
+      `battingAvg ${avg} > ${ar.minAvg}`,
+      `economy ${economy} < ${ar.maxEconomy}`,
+      `ballsBowled ${stats.ballsBowled} >= ${ar.minBalls ?? 0}`,
+    ]);
+  }
+
+  const wk = rules.wicketkeeper;
+  if (wk && stats.isWicketkeeper === true && avg !== null && avg >= wk.minAvg) {
+    add('wicketkeeper-batter', ['keeps wicket', `battingAvg ${avg} >= ${wk.minAvg}`]);
+  }
+
+  const fin = rules.finisher;
+  const sr = num(stats.strikeRate);
+  if (fin && sr !== null && stats.innings > 0 && Number.isFinite(stats.notOuts)) {
+    const notOutRatio = round2(stats.notOuts / stats.innings);
+    if (sr >= fin.minStrikeRate && notOutRatio >= fin.minNotOutRatio) {
+      add('finisher', [
+        `strikeRate ${sr} >= ${fin.minStrikeRate}`,
+        `notOutRatio ${notOutRatio} >= ${fin.minNotOutRatio}`,
+      ]);
+    }
+  }
+
+  const death = rules.deathBowler;
+  const hasDeathBalls = Number.isInteger(stats.deathBallsBowled);
+  const deathBalls = hasDeathBalls ? stats.deathBallsBowled : parseOvers(stats.deathOvers);
+  if (death && deathBalls > 0 && Number.isFinite(stats.deathRunsConceded)) {
+    const deathEconomy = calcEconomy(stats.deathRunsConceded, { balls: deathBalls });
+    const shownOvers = hasDeathBalls ? formatOvers(deathBalls) : stats.deathOvers;
+    if (deathBalls >= death.minOvers * 6 && deathEconomy <= death.maxEconomy) {
+      add('death bowler', [
+        `deathOvers ${shownOvers} >= ${death.minOvers}`,
+        `deathEconomy ${deathEconomy} <= ${death.maxEconomy}`,
+      ]);
+    }
+  }
+
+  return roles;
+};
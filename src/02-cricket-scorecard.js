@@ -0,0 +1,245 @@
+/**
+ * 🏏 Cricket Match Scorecard - Ball by Ball
+ *
+ * Career stats toh ban gaye, ab live match ka scorecard chahiye! Har delivery
+ * feed karo aur engine batting card, bowling card, fall of wickets,
+ * partnerships, current run rate aur required run rate sambhalega. Strike
+ * rate aur economy 02-cricket-stats ke helpers se hi aate hain.
+ * Is module mein bhi sab ARROW FUNCTIONS hain.
+ *
+ * Function: createScorecard({ target = null, maxOvers = 20 })
+ *
+ *   - target: chase ho raha ho toh runs to win (required run rate ke liye)
+ *   - Agar maxOvers positive integer nahi ya target invalid, return null
+ *
+ * Returns an object with these methods (private state closure mein):
+ *
+ *   - addDelivery(delivery) => true, ya false agar invalid / innings khatam
+ *       delivery: {
+ *         batter, nonStriker, bowler,          // non-empty strings
+ *         runs = 0,                            // off the bat
+ *         extras: { type: "wide" | "noball" | "bye" | "legbye", runs },
+ *         wicket: { kind: "bowled" | "caught" | "run out" | ..., playerOut = batter },
+ *       }
+ *       - wide/noball legal ball nahi hain; wide batter ka ball bhi nahi
+ *       - wide/noball runs bowler ke khaate mein, bye/legbye nahi
+ *       - "run out", "retired hurt", "obstructing the field" bowler ka wicket nahi
+ *       - Innings khatam: 10 wickets, maxOvers poore, ya target chase ho gaya
+ *
+ *   - getBattingCard()  => [{ name, runs, balls, fours, sixes, strikeRate, isOut, dismissal }]
+ *   - getBowlingCard()  => [{ name, overs: "3.4", balls, maidens, runs, wickets, economy }]
+ *   - getFallOfWickets() => [{ wicket, score, player, over: "12.3" }]
+ *   - getPartnerships()  => [{ wicket, batters: [a, b], runs, balls }] — runs mein extras bhi
+ *   - getSummary() => { runs, wickets, overs, balls, extras, currentRunRate,
+ *                       target, requiredRunRate, isComplete }
+ *       requiredRunRate null jab target nahi diya
+ *
+ * @example
+ *   const card = createScorecard({ target: 180 });
+ *   card.addDelivery({ batter: "Rohit", nonStriker: "Gill", bowler: "Starc", runs: 4 });
+ *   card.getSummary().currentRunRate   // => 24
+ */
+import { calcStrikeRate, calcEconomy, formatOvers } from './02-cricket-stats.js';
+
+const BALLS_PER_OVER = 6;
+const EXTRA_TYPES = ['wide', 'noball', 'bye', 'legbye'];
+const NON_BOWLER_WICKETS = ['run out', 'retired hurt', 'retired out', 'obstructing the field'];
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.length > 0;
+const isRunCount = (value) => Number.isInteger(value) && value >= 0;
+
+const toRate = (runs, balls) =>
+  balls > 0 ? Number(((runs / balls) * BALLS_PER_OVER).toFixed(2)) : 0;
+
+const isValidDelivery = (d) => {
+  if (!d || typeof d !== 'object') return false;
+  if (![d.batter, d.nonStriker, d.bowler].every(isNonEmptyString)) return false;
+  if (d.batter === d.nonStriker) return false;
+  if (d.runs !== undefined && !isRunCount(d.runs)) return false;
+  if (d.extras !== undefined) {
+    if (!d.extras || !EXTRA_TYPES.includes(d.extras.type)) return false;
+    if (!isRunCount(d.extras.runs)) return false;
+  }
+  if (d.wicket !== undefined) {
+    if (!d.wicket || !isNonEmptyString(d.wicket.kind)) return false;
+    const out = d.wicket.playerOut ?? d.batter;
+    if (out !== d.batter && out !== d.nonStriker) return false;
+  }
+  return true;
+};
+
+export const createScorecard = ({ target = null, maxOvers = 20 } = {}) => {
+  if (!Number.isInteger(maxOvers) || maxOvers <= 0) return null;
+  if (target !== null && !(Number.isInteger(target) && target > 0)) return null;
+
+  const batters = new Map();
+  const bowlers = new Map();
+  const fallOfWickets = [];
+  const partnerships = [];
+  const extras = { wides: 0, noballs: 0, byes: 0, legbyes: 0, total: 0 };
+  let runs = 0;
+  let wickets = 0;
+  let legalBalls = 0;
+  let overRuns = 0;
+
+  const batterFor = (name) => {
+    if (!batters.has(name)) {
+      batters.set(name, {
+        name,
+        runs: 0,
+        balls: 0,
+        fours: 0,
+        sixes: 0,
+        isOut: false,
+        dismissal: null,
+      });
+    }
+    return batters.get(name);
+  };
+
+  const bowlerFor = (name) => {
+    if (!bowlers.has(name)) {
+      bowlers.set(name, { name, balls: 0, maidens: 0, runs: 0, wickets: 0 });
+    }
+    return bowlers.get(name);
+  };
+
+  const currentPartnership = (a, b) => {
+    const last = partnerships[partnerships.length - 1];
+    if (last && !last.closed && last.batters.includes(a) && last.batters.includes(b)) return last;
+    const next = { wicket: wickets + 1, batters: [a, b], runs: 0, balls: 0, closed: false };
+    partnerships.push(next);
+    return next;
+  };
+
+  const isComplete = () =>
+    wickets >= 10 ||
+    legalBalls >= maxOvers * BALLS_PER_OVER ||
+    (target !== null && runs >= target);
+
+  const addDelivery = (delivery) => {
+    if (isComplete() || !isValidDelivery(delivery)) return false;
+    if (batters.get(delivery.batter)?.isOut || batters.get(delivery.nonStriker)?.isOut) {
+      return false;
+    }
+
+    const batRuns = delivery.runs ?? 0;
+    const extraType = delivery.extras?.type ?? null;
+    const extraRuns = delivery.extras?.runs ?? 0;
+    const isLegal = extraType !== 'wide' && extraType !== 'noball';
+    const chargedToBowler = batRuns + (isLegal ? 0 : extraRuns);
+
+    const striker = batterFor(delivery.batter);
+    batterFor(delivery.nonStriker);
+    const bowler = bowlerFor(delivery.bowler);
+    const partnership = currentPartnership(delivery.batter, delivery.nonStriker);
+
+    striker.runs += batRuns;
+    if (extraType !== 'wide') striker.balls += 1;
+    if (batRuns === 4) striker.fours += 1;
+    if (batRuns === 6) striker.sixes += 1;
+
+    if (extraType) {
+      extras[`${extraType}s`] += extraRuns;
+      extras.total += extraRuns;
+    }
+
+    runs += batRuns + extraRuns;
+    partnership.runs += batRuns + extraRuns;
+    bowler.runs += chargedToBowler;
+    overRuns += chargedToBowler;
+
+    if (isLegal) {
+      legalBalls += 1;
+      bowler.balls += 1;
+      partnership.balls += 1;
+    }
+
+    if (delivery.wicket) {
+      const { kind } = delivery.wicket;
+      const playerOut = delivery.wicket.playerOut ?? delivery.batter;
+      const outBatter = batterFor(playerOut);
+      outBatter.isOut = true;
+      outBatter.dismissal = kind;
+      if (!NON_BOWLER_WICKETS.includes(kind)) bowler.wickets += 1;
+      wickets += 1;
+      partnership.closed = true;
+      fallOfWickets.push({
+        wicket: wickets,
+        score: runs,
+        player: playerOut,
+        over: formatOvers(legalBalls),
+      });
+    }
+
+    if (isLegal && legalBalls % BALLS_PER_OVER === 0) {
+      if (overRuns === 0) bowler.maidens += 1;
+      overRuns = 0;
+    }
+
+    return true;
+  };
+
+  const getBattingCard = () =>
+    [...batters.values()].map((b) => ({
+      name: b.name,
+      runs: b.runs,
+      balls: b.balls,
+      fours: b.fours,
+      sixes: b.sixes,
+      strikeRate: calcStrikeRate(b.runs, b.balls),
+      isOut: b.isOut,
+      dismissal: b.dismissal,
+    }));
+
+  const getBowlingCard = () =>
+    [...bowlers.values()].map((b) => ({
+      name: b.name,
+      overs: formatOvers(b.balls),
+      balls: b.balls,
+      maidens: b.maidens,
+      runs: b.runs,
+      wickets: b.wickets,
+      economy: calcEconomy(b.runs, { balls: b.balls }),
+    }));
+
+  const getFallOfWickets = () => fallOfWickets.map((fow) => ({ ...fow }));
+
+  const getPartnerships = () =>
+    partnerships.map(({ wicket, batters: pair, runs: pRuns, balls }) => ({
+      wicket,
+      batters: [...pair],
+      runs: pRuns,
+      balls,
+    }));
+
+  const getSummary = () => {
+    const ballsLeft = maxOvers * BALLS_PER_OVER - legalBalls;
+    let requiredRunRate = null;
+    if (target !== null) {
+      const runsNeeded = Math.max(target - runs, 0);
+      requiredRunRate = runsNeeded === 0 || ballsLeft <= 0 ? 0 : toRate(runsNeeded, ballsLeft);
+    }
+
+    return {
+      runs,
+      wickets,
+      overs: formatOvers(legalBalls),
+      balls: legalBalls,
+      extras: { ...extras },
+      currentRunRate: toRate(runs, legalBalls),
+      target,
+      requiredRunRate,
+      isComplete: isComplete(),
+    };
+  };
+
+  return {
+    addDelivery,
+    getBattingCard,
+    getBowlingCard,
+    getFallOfWickets,
+    getPartnerships,
+    getSummary,
+  };
+};
@@ -0,0 +1,139 @@
+/**
+ * 🏏 Cricket Squad - Leaderboards & Team Totals
+ *
+ * getPlayerCard ek khiladi ka card banata hai; tournament ke liye poori squad
+ * chahiye. Yeh module saare players ke cards banata hai, leaderboards deta hai
+ * (qualification ke saath, taaki 3 ball pe 12 run wala top na kare), team
+ * totals aur do players ka head-to-head.
+ * Is module mein bhi sab ARROW FUNCTIONS hain.
+ *
+ * Function: createSquad(players, { minBalls = 60, minOvers = 10, minInnings = 5 })
+ *
+ *   - players: getPlayerCard wale records (ballsBowled ya overs notation)
+ *   - Invalid players (getPlayerCard null de) skip ho jaate hain
+ *   - Agar players array nahi hai ya thresholds non-negative numbers nahi, return null
+ *
+ * Returns an object with these methods:
+ *
+ *   - getCards() => saare valid players ke cards (copies)
+ *   - getLeaderboard(stat, limit = 5)
+ *       stat: "strikeRate" (balls >= minBalls, highest first)
+ *             "economy"    (overs bowled >= minOvers, lowest first)
+ *             "battingAvg" (innings >= minInnings, highest first)
+ *       Returns [{ rank, name, value }], ya null agar stat unknown
+ *       Barabar value pe input order rehta hai
+ *   - getTeamTotals()
+ *       => { players, runs, balls, runsConceded, ballsBowled, overs, strikeRate, economy }
+ *       strikeRate/economy poori team ke combined numbers se
+ *   - compare(nameA, nameB)
+ *       => { players: [nameA, nameB], strikeRate: { [nameA], [nameB], leader }, economy, battingAvg }
+ *       leader = behtar wala (economy mein kam), barabar ho toh null
+ *       Jisne bowling nahi ki uski economy null hai (aur leader bhi null)
+ *       Agar koi player nahi mila, return null
+ *
+ * @example
+ *   const squad = createSquad(players, { minBalls: 100 });
+ *   squad.getLeaderboard("strikeRate", 3)
+ *   // => [{ rank: 1, name: "Suryakumar", value: 171.55 }, ...]
+ */
+import {
+  calcStrikeRate,
+  calcEconomy,
+  getPlayerCard,
+  parseOvers,
+  formatOvers,
+} from './02-cricket-stats.js';
+
+const LEADERBOARDS = {
+  strikeRate: { higherIsBetter: true },
+  economy: { higherIsBetter: false },
+  battingAvg: { higherIsBetter: true },
+};
+
+const count = (value) => (Number.isFinite(value) && value > 0 ? value : 0);
+
+const ballsBowledOf = (player) =>
+  Number.isInteger(player.ballsBowled) ? player.ballsBowled : parseOvers(player.overs) ?? 0;
+
+export const createSquad = (players, { minBalls = 60, minOvers = 10, minInnings = 5 } = {}) => {
+  if (!Array.isArray(players)) return null;
+  if (![minBalls, minOvers, minInnings].every((n) => Number.isFinite(n) && n >= 0)) return null;
+
+  const members = players
+    .map((player) => ({ player, card: getPlayerCard(player) }))
+    .filter(({ card }) => card !== null);
+
+  const isQualified = {
+    strikeRate: ({ player }) => count(player.balls) > 0 && count(player.balls) >= minBalls,
+    economy: ({ player }) => {
+      const balls = ballsBowledOf(player);
+      return balls > 0 && balls >= minOvers * 6;
+    },
+    battingAvg: ({ player }) => count(player.innings) >= minInnings,
+  };
+
+  const findMember = (name) => members.find(({ card }) => card.name === name);
+
+  // A player who never bowled has economy 0, which must not beat a real figure.
+  const statOf = ({ player, card }, stat) =>
+    stat === 'economy' && ballsBowledOf(player) === 0 ? null : card[stat];
+
+  const getCards = () => members.map(({ card }) => ({ ...card }));
+
+  const getLeaderboard = (stat, limit = 5) => {
+    if (!Object.prototype.hasOwnProperty.call(LEADERBOARDS, stat)) return null;
+    const { higherIsBetter } = LEADERBOARDS[stat];
+
+    return members
+      .filter(isQualified[stat])
+      .map(({ card }) => ({ name: card.name, value: card[stat] }))
+      .sort((a, b) => (higherIsBetter ? b.value - a.value : a.value - b.value))
+      .slice(0, Number.isInteger(limit) && limit > 0 ? limit : undefined)
+      .map((entry, idx) => ({ rank: idx + 1, ...entry }));
+  };
+
+  const getTeamTotals = () => {
+    const totals = members.reduce(
+      (acc, { player }) => ({
+        runs: acc.runs + count(player.runs),
+        balls: acc.balls + count(player.balls),
+        runsConceded: acc.runsConceded + count(player.runsConceded),
+        ballsBowled: acc.ballsBowled + ballsBowledOf(player),
+      }),
+      { runs: 0, balls: 0, runsConceded: 0, ballsBowled: 0 }
+    );
+
+    return {
+      players: members.length,
+      ...totals,
+      overs: formatOvers(totals.ballsBowled),
+      strikeRate: calcStrikeRate(totals.runs, totals.balls),
+      economy: calcEconomy(totals.runsConceded, { balls: totals.ballsBowled }),
+    };
+  };
+
+  const compare = (nameA, nameB) => {
+    const a = findMember(nameA);
+    const b = findMember(nameB);
+    if (!a || !b) return null;
+
+    const result = { players: [nameA, nameB] };
+    for (const [stat, { higherIsBetter }] of Object.entries(LEADERBOARDS)) {
+      const valueA = statOf(a, stat);
+      const valueB = statOf(b, stat);
+      let leader = null;
+      if (valueA !== null && valueB !== null && valueA !== valueB) {
+        leader = valueA > valueB === higherIsBetter ? nameA : nameB;
+      }
+      result[stat] = { [nameA]: valueA, [nameB]: valueB, leader };
+    }
+    return result;
+  };
+
+  return {
+    getCards,
+    getLeaderboard,
+    getTeamTotals,
+    compare,
+  };
+};
@@ -11,9 +11,11 @@
  *      - Strike rate = (runs / balls) * 100, rounded to 2 decimal places
  *      - Agar balls <= 0 ya runs < 0, return 0
  *
- *   2. calcEconomy(runsConceded, overs)
- *      - Economy = runsConceded / overs, rounded to 2 decimal places
- *      - Agar overs <= 0 ya runsConceded < 0, return 0
+ *   2. calcEconomy(runsConceded, overs, { ballsPerOver = 6 })
+ *      - overs cricket notation mein hai: 3.4 (ya "3.4") = 3 overs 4 balls = 22 balls
+ *      - Ya seedha balls do: calcEconomy(30, { balls: 22 })
+ *      - Economy = runsConceded / (balls / ballsPerOver), rounded to 2 decimal places
+ *      - Agar overs <= 0, invalid notation (3.7) ya runsConceded < 0, return 0
  *
  *   3. calcBattingAvg(totalRuns, innings, notOuts = 0)
  *      - Batting avg = totalRuns / (innings - notOuts), rounded to 2 decimal places
@@ -28,53 +30,107 @@
  *      - Return: { name, strikeRate, economy, battingAvg, isAllRounder }
  *      - Use the above functions internally
  *      - Agar player null/undefined hai ya name missing, return null
+ *      - player.ballsBowled (integer) diya ho toh economy usi se, warna overs se
+ *      - getPlayerCard(player, { includeRoles: true, format, thresholds }) card mein
+ *        `roles` bhi jodta hai (dekho 02-cricket-roles.js); isWicketkeeper,
+ *        deathOvers (ya deathBallsBowled), deathRunsConceded fields wahan kaam aate hain
+ *      - { includeForm: true, formOptions } player.recentInnings (chronological)
+ *        se `form` section jodta hai (dekho 02-cricket-form.js); innings na hon toh null
+ *
+ *   6. parseOvers(overs, ballsPerOver = 6)
+ *      - "3.4" / 3.4 => 22 balls; "3.7" => null (ek over mein 6 hi balls)
+ *      - Agar overs negative/invalid ya ballsPerOver positive integer nahi, return null
+ *
+ *   7. formatOvers(balls, ballsPerOver = 6)
+ *      - 22 => "3.4", 24 => "4.0"
+ *      - Agar balls non-negative integer nahi, return null
+ *
+ *   8. calcBowlingAvg(runsConceded, wickets)
+ *      - Runs per wicket, rounded to 2 decimal places
+ *      - Agar wickets <= 0 ya runsConceded < 0, return 0
+ *
+ *   9. calcBowlingStrikeRate(overs, wickets, { ballsPerOver = 6 })
+ *      - Balls per wicket, rounded to 2 decimal places; overs notation ya { balls }
+ *      - Agar wickets <= 0 ya overs invalid, return 0
+ *
+ *   ballsPerOver configurable hai — The Hundred jaise formats ke liye 5 do.
+ *   Functions 1-3 aur 6-9 02-cricket-rates.js mein rehte hain (roles/form/squad
+ *   wahin se lete hain); yeh file unhe same naam se re-export karti hai.
  *
  * Hint: Use const fn = (params) => expression or const fn = (params) => { ... }
  *
  * @example
  *   calcStrikeRate(45, 30)  // => 150
  *   calcEconomy(24, 4)      // => 6
+ *   calcEconomy(22, 3.4)    // => 6 (22 balls, not 3.4 overs)
  *   getPlayerCard({ name: "Jadeja", runs: 35, balls: 20, totalRuns: 2000, innings: 80, notOuts: 10, runsConceded: 1500, overs: 200 })
  *   // => { name: "Jadeja", strikeRate: 175, economy: 7.5, battingAvg: 28.57, isAllRounder: false }
  */
-export const calcStrikeRate = (runs, balls) => {
-  if (!Number.isFinite(runs) || !Number.isFinite(balls)) return 0;
-  if (balls <= 0 || runs < 0) return 0;
-  return Number(((runs / balls) * 100).toFixed(2));
-};
+import { calcStrikeRate, calcEconomy, calcBattingAvg, parseOvers } from './02-cricket-rates.js';
+import { classifyPlayerRoles } from './02-cricket-roles.js';
+import { buildFormSection } from './02-cricket-form.js';
 
-export const calcEconomy = (runsConceded, overs) => {
-  if (!Number.isFinite(runsConceded) || !Number.isFinite(overs)) return 0;
-  if (overs <= 0 || runsConceded < 0) return 0;
-  return Number((runsConceded / overs).toFixed(2));
-};
-
-export const calcBattingAvg = (totalRuns, innings, notOuts = 0) => {
-  if (!Number.isFinite(totalRuns) || !Number.isFinite(innings) || !Number.isFinite(notOuts)) {
-    return 0;
-  }
-  const outs = innings - notOuts;
-  if (outs <= 0) return 0;
-  return Number((totalRuns / outs).toFixed(2));
-};
+export {
+  calcStrikeRate,
+  parseOvers,
+  formatOvers,
+  calcEconomy,
+  calcBowlingAvg,
+  calcBowlingStrikeRate,
+  calcBattingAvg,
+} from './02-cricket-rates.js';
 
 export const isAllRounder = (battingAvg, economy) => {
   return battingAvg > 30 && economy < 8;
 };
 
-export const getPlayerCard = (player) => {
+export const getPlayerCard = (
+  player,
+  { includeRoles = false, format, thresholds, includeForm = false, formOptions } = {}
+) => {
   if (!player || typeof player !== 'object') return null;
   if (typeof player.name !== 'string' || player.name.length === 0) return null;
 
+  const bowled = Number.isInteger(player.ballsBowled)
+    ? { balls: player.ballsBowled }
+    : player.overs;
   const strikeRate = calcStrikeRate(player.runs, player.balls);
-  const economy = calcEconomy(player.runsConceded, player.overs);
+  const economy = calcEconomy(player.runsConceded, bowled);
   const battingAvg = calcBattingAvg(player.totalRuns, player.innings, player.notOuts);
 
-  return {
+  const card = {
     name: player.name,
     strikeRate,
     economy,
     battingAvg,
     isAllRounder: isAllRounder(battingAvg, economy),
   };
+
+  if (includeRoles) {
+    card.roles = classifyPlayerRoles(
+      {
+        battingAvg,
+        strikeRate,
+        economy,
+        ballsBowled: Number.isInteger(player.ballsBowled)
+          ? player.ballsBowled
+          : parseOvers(player.overs) ?? 0,
+        innings: player.innings,
+        notOuts: player.notOuts ?? 0,
+        isWicketkeeper: player.isWicketkeeper,
+        deathOvers: player.deathOvers,
+        deathBallsBowled: player.deathBallsBowled,
+        deathRunsConceded: player.deathRunsConceded,
+      },
+      { format, thresholds }
+    );
+  }
+
+  if (includeForm) {
+    card.form = Array.isArray(player.recentInnings)
+      ? buildFormSection(player.recentInnings, formOptions)
+      : null;
+  }
+
+  return card;
 };
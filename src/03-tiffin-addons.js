@@ -0,0 +1,145 @@
+/**
+ * 🥗 Mumbai Tiffin Service - Addon Catalogue
+ *
+ * Pehle applyAddons koi bhi { name, price } le leta tha aur har addon roz ka
+ * charge maana jaata tha. Asli duniya mein raita roz aata hai, weekend
+ * special hafte mein ek baar, aur steel ka tiffin box deposit sirf ek baar.
+ * Aur jain plan pe chicken? Bilkul nahi. Yeh module addons ko catalogue se
+ * check karke itemised entry banata hai aur plan ko addons ke saath price karta hai.
+ *
+ * ADDON_CATALOGUE: { [name]: { price, mode, mealTypes? } }
+ *   - mode: "perDay" (har delivery), "perWeek" (plan ke har delivery wale hafte),
+ *           "oneTime" (plan mein ek baar)
+ *   - mealTypes = allow-list; na ho toh sab meal types pe allowed
+ *
+ * Functions:
+ *
+ *   1. resolveAddon(addon, mealType, catalogue = ADDON_CATALOGUE)
+ *      - addon: "raita" ya { name, quantity = 1, price?, mode? }
+ *        Catalogue item ke price/mode object se override ho sakte hain;
+ *        catalogue ke bahar ka addon price ke saath chalega (default mode "perDay")
+ *      - Return: { name, mode, price, quantity }, ya null agar naam unknown
+ *        (aur price nahi), mealType allowed nahi, price/mode/quantity invalid
+ *
+ *   2. addonTotal(addon, { deliveries, days, weeks = ceil(days / 7) })
+ *      - perDay: price * quantity * deliveries
+ *      - perWeek: price * quantity * weeks
+ *      - oneTime: price * quantity
+ *
+ *   3. currentAddons(plan) => plan.addons normalised to { name, mode, price, quantity }
+ *      (purane { name, price } addons perDay, quantity 1), ya null agar invalid
+ *
+ *   4. priceAddons(plan, addons)
+ *      - plan ke addons ko `addons` se badal ke NEW plan: dailyRate = base rate +
+ *        perDay addons, totalCost = dailyRate * deliveries + perWeek/oneTime totals
+ *      - deliveries = deliveryDates.length (scheduled plan) warna days
+ *      - weeks = scheduled plan mein sirf woh hafte (startDate se) jinmein kam se
+ *        kam ek delivery hai — pause wale khaali hafte ka weekendSpecial nahi lagta
+ *      - applyAddons, removeAddons aur pausePlan/resumePlan sab isi se price karte hain
+ *      - Agar plan ke current addons invalid hain, return null
+ *
+ * @example
+ *   resolveAddon({ name: "tiffinBox" }, "veg")
+ *   // => { name: "tiffinBox", mode: "oneTime", price: 200, quantity: 1 }
+ *   resolveAddon("chicken", "jain")
+ *   // => null
+ */
+export const ADDON_MODES = ['perDay', 'perWeek', 'oneTime'];
+
+export const ADDON_CATALOGUE = {
+  raita: { price: 15, mode: 'perDay' },
+  papad: { price: 10, mode: 'perDay' },
+  buttermilk: { price: 15, mode: 'perDay' },
+  sweet: { price: 20, mode: 'perDay' },
+  egg: { price: 15, mode: 'perDay', mealTypes: ['nonveg'] },
+  chicken: { price: 40, mode: 'perDay', mealTypes: ['nonveg'] },
+  weekendSpecial: { price: 60, mode: 'perWeek' },
+  tiffinBox: { price: 200, mode: 'oneTime' },
+};
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+const toMoney = (amount) => Number(amount.toFixed(2));
+
+export function resolveAddon(addon, mealType, catalogue = ADDON_CATALOGUE) {
+  const request = typeof addon === 'string' ? { name: addon } : addon;
+  if (!request || typeof request !== 'object') return null;
+  if (typeof request.name !== 'string' || request.name.length === 0) return null;
+
+  const known = Object.prototype.hasOwnProperty.call(catalogue, request.name)
+    ? catalogue[request.name]
+    : null;
+  if (known?.mealTypes && !known.mealTypes.includes(mealType)) return null;
+
+  const price = request.price ?? known?.price;
+  const mode = request.mode ?? known?.mode ?? 'perDay';
+  const quantity = request.quantity ?? 1;
+
+  if (!Number.isFinite(price) || price < 0) return null;
+  if (!ADDON_MODES.includes(mode)) return null;
+  if (!Number.isInteger(quantity) || quantity <= 0) return null;
+
+  return { name: request.name, mode, price, quantity };
+}
+
+export function addonTotal(
+  { mode = 'perDay', price, quantity = 1 },
+  { deliveries, days, weeks = Math.ceil(days / 7) }
+) {
+  const unit = price * quantity;
+  if (mode === 'oneTime') return toMoney(unit);
+  if (mode === 'perWeek') return toMoney(unit * weeks);
+  return toMoney(unit * deliveries);
+}
+
+// Older plans only carried { name, price }; those were always per-day, quantity 1.
+export function currentAddons(plan) {
+  const addons = plan.addons ?? [];
+  if (!Array.isArray(addons)) return null;
+  const normalised = addons.map((addon) => ({
+    name: addon?.name,
+    mode: addon?.mode ?? 'perDay',
+    price: addon?.price,
+    quantity: addon?.quantity ?? 1,
+  }));
+  return normalised.every((addon) => Number.isFinite(addon.price)) ? normalised : null;
+}
+
+const perDayRate = (addons) =>
+  addons
+    .filter((addon) => addon.mode === 'perDay')
+    .reduce((sum, addon) => sum + addon.price * addon.quantity, 0);
+
+// deliveryDates schedule se aate hain, toh yahan seedha UTC ms pe hafta gin lete hain.
+const deliveryWeeks = (plan) => {
+  const start = Date.parse(`${plan.startDate ?? plan.deliveryDates[0]}T00:00:00Z`);
+  const weekOf = (date) => Math.floor((Date.parse(`${date}T00:00:00Z`) - start) / WEEK_MS);
+  return new Set(plan.deliveryDates.map(weekOf)).size;
+};
+
+export function priceAddons(plan, addons) {
+  const current = currentAddons(plan);
+  if (current === null) return null;
+  const baseRate = (Number.isFinite(plan.dailyRate) ? plan.dailyRate : 0) - perDayRate(current);
+
+  const days = Number.isFinite(plan.days) ? plan.days : 0;
+  const scheduled = Array.isArray(plan.deliveryDates);
+  const deliveries = scheduled ? plan.deliveryDates.length : days;
+  const weeks = scheduled ? deliveryWeeks(plan) : Math.ceil(days / 7);
+  const itemised = addons.map((addon) => ({
+    ...addon,
+    total: addonTotal(addon, { deliveries, days, weeks }),
+  }));
+  const dailyRate = toMoney(baseRate + perDayRate(itemised));
+  const extras = itemised
+    .filter((addon) => addon.mode !== 'perDay')
+    .reduce((sum, addon) => sum + addon.total, 0);
+
+  return {
+    ...plan,
+    dailyRate,
+    totalCost: toMoney(dailyRate * deliveries + extras),
+    addonNames: itemised.map((addon) => addon.name),
+    addons: itemised,
+  };
+}
@@ -0,0 +1,109 @@
+/**
+ * 📊 Mumbai Tiffin Service - Plan Analytics
+ *
+ * combinePlans sirf customers, revenue aur meal count deta hai. Operations
+ * team ko aur chahiye: kis meal type se kitna paisa, plans kitne din ke
+ * hain, kaunse addons chalte hain — aur yeh sab area ya delivery slot ke
+ * hisaab se bhi. analyzePlans wahi teen fields deta hai, upar se jo metrics
+ * aur grouping maango.
+ *
+ * Function: analyzePlans(plans, { metrics = [], groupBy })
+ *
+ *   - plans: plan objects ka array (createTiffinPlan / applyAddons wale,
+ *     extra fields jaise area, slot bhi chalenge)
+ *   - Default result = combinePlans(...plans): { totalCustomers, totalRevenue, mealBreakdown }
+ *   - metrics: built-in naam ya custom { name, aggregate: (plans) => value }
+ *       "revenueByMealType" => { veg: 4800, nonveg: 3600 }
+ *       "averagePlanLength" => average days (2 decimal places, koi nahi toh 0)
+ *       "addonPopularity"   => [{ name, count }] addonNames se, sabse popular pehle
+ *     Har metric result mein usi naam ki field banti hai
+ *   - groupBy: plan ki key ("area") ya function (plan) => key
+ *       Result mein groups: { [key]: same analysis sirf us group ke plans pe }
+ *       Key missing ho toh "unknown"
+ *   - Agar plans empty/array nahi, metric unknown ya groupBy invalid, return null
+ *
+ * @example
+ *   analyzePlans(plans, { metrics: ["revenueByMealType"], groupBy: "area" })
+ *   // => { totalCustomers: 3, totalRevenue: 7200, mealBreakdown: {...},
+ *   //      revenueByMealType: {...}, groups: { Dadar: {...}, Andheri: {...} } }
+ */
+import { combinePlans } from './03-tiffin-service.js';
+
+const toMoney = (amount) => Number(amount.toFixed(2));
+
+const isPlan = (plan) => plan && typeof plan === 'object';
+
+export const PLAN_METRICS = {
+  revenueByMealType: (plans) => {
+    const revenue = {};
+    for (const plan of plans.filter(isPlan)) {
+      const mealType = typeof plan.mealType === 'string' ? plan.mealType : 'unknown';
+      const cost = Number.isFinite(plan.totalCost) ? plan.totalCost : 0;
+      revenue[mealType] = toMoney((revenue[mealType] ?? 0) + cost);
+    }
+    return revenue;
+  },
+
+  averagePlanLength: (plans) => {
+    const lengths = plans.filter(isPlan).map((plan) => plan.days).filter(Number.isFinite);
+    if (lengths.length === 0) return 0;
+    return toMoney(lengths.reduce((sum, days) => sum + days, 0) / lengths.length);
+  },
+
+  addonPopularity: (plans) => {
+    const counts = new Map();
+    for (const plan of plans.filter(isPlan)) {
+      for (const name of Array.isArray(plan.addonNames) ? plan.addonNames : []) {
+        counts.set(name, (counts.get(name) ?? 0) + 1);
+      }
+    }
+    return [...counts].map(([name, count]) => ({ name, count })).sort((a, b) => b.count - a.count);
+  },
+};
+
+const resolveMetric = (metric) => {
+  if (typeof metric === 'string') {
+    if (!Object.prototype.hasOwnProperty.call(PLAN_METRICS, metric)) return null;
+    return { name: metric, aggregate: PLAN_METRICS[metric] };
+  }
+  if (metric && typeof metric.name === 'string' && typeof metric.aggregate === 'function') {
+    return { name: metric.name, aggregate: metric.aggregate };
+  }
+  return null;
+};
+
+const resolveGroupBy = (groupBy) => {
+  if (typeof groupBy === 'function') return groupBy;
+  if (typeof groupBy === 'string' && groupBy.length > 0) return (plan) => plan?.[groupBy];
+  return null;
+};
+
+export function analyzePlans(plans, { metrics = [], groupBy } = {}) {
+  if (!Array.isArray(plans) || plans.length === 0) return null;
+  if (!Array.isArray(metrics)) return null;
+
+  const resolved = metrics.map(resolveMetric);
+  if (resolved.some((metric) => metric === null)) return null;
+
+  const keyOf = groupBy === undefined ? null : resolveGroupBy(groupBy);
+  if (groupBy !== undefined && keyOf === null) return null;
+
+  const summarise = (subset) => {
+    const result = combinePlans(...subset);
+    for (const { name, aggregate } of resolved) result[name] = aggregate(subset);
+    return result;
+  };
+
+  const result = summarise(plans);
+  if (keyOf) {
+    const buckets = new Map();
+    for (const plan of plans) {
+      const key = keyOf(plan) ?? 'unknown';
+      if (!buckets.has(key)) buckets.set(key, []);
+      buckets.get(key).push(plan);
+    }
+    result.groups = {};
+    for (const [key, subset] of buckets) result.groups[key] = summarise(subset);
+  }
+  return result;
+}
@@ -0,0 +1,219 @@
+/**
+ * 🧾 Mumbai Tiffin Service - Monthly Billing & Invoices
+ *
+ * createTiffinPlan ek hi baar ka total deta hai, par customer se paisa har
+ * mahine liya jaata hai. Mahine ki 1 tarikh ko invoice banta hai (advance
+ * billing): us mahine ke saare scheduled meals + addons. Jo meals skip hue
+ * unka credit agle mahine ke invoice mein aata hai (carry-forward), aur
+ * pichhla invoice due date tak poora nahi bhara toh late fee lagti hai.
+ *
+ * Invoices PURE DATA hain — same plan, log aur options se hamesha same
+ * invoices banenge (koi "aaj ki date" nahi), taaki audit ke time dobara ban sakein.
+ *
+ * Function: generateInvoices(plan, deliveryLog, options)
+ *
+ *   - plan: createTiffinPlan / applyAddons ka result
+ *       plan.addons [{ name, mode, price, quantity }] ho toh addons alag line items bante hain:
+ *       perDay => meals * quantity, perWeek => us mahine shuru hone wale plan weeks
+ *       (scheduled plan mein sirf woh hafte jinmein koi delivery hai),
+ *       oneTime => pehle invoice mein
+ *       plan.deliveryDates ho toh wahi scheduled meals hain; warna har log entry ek meal hai
+ *   - deliveryLog: [{ date: "YYYY-MM-DD", status: "delivered" | "skipped" }]
+ *       Scheduled plan mein log date deliveryDates mein honi chahiye; duplicate date nahi
+ *   - options: { prefix = "TIF", startNumber = 1, dueDays = 7, lateFee = 50,
+ *                openingBalance = 0, payments = [{ date, amount }] }
+ *   - Har mahine (pehle meal se aakhri tak, beech ke khaali mahine bhi) ek invoice:
+ *       { invoiceNumber: "TIF-0001", customer, mealType, period: "2026-10",
+ *         issueDate: "2026-10-01", dueDate, lines, subtotal,
+ *         previousBalance, paymentsReceived, balanceDue }
+ *   - lines: [{ type, description, quantity, unitPrice, amount }]
+ *       type: "meals" | "addon" | "credit" | "late-fee"
+ *       credit = pichhle mahine ke skipped meals * dailyRate (negative amount)
+ *       late-fee = pichhle invoice ka balanceDue uski dueDate tak nahi bhara
+ *   - paymentsReceived = pichhle invoice ki issueDate se is invoice ki issueDate
+ *     se pehle tak ke payments (pehle invoice ke liye usse pehle ke saare)
+ *   - balanceDue = previousBalance - paymentsReceived + subtotal (running balance;
+ *     negative matlab customer ka credit aage jaata hai)
+ *   - Aakhri mahine mein skips hue toh ek aur invoice sirf credit ke liye banta hai
+ *   - Koi meal nahi => []; kuch bhi invalid => null
+ *
+ * @example
+ *   const plan = createTiffinPlan({ name: "Rahul", days: 30, startDate: "2026-10-20" });
+ *   generateInvoices(plan, [{ date: "2026-10-21", status: "skipped" }])
+ *   // => [{ invoiceNumber: "TIF-0001", period: "2026-10", subtotal: 960, ... },
+ *   //     { invoiceNumber: "TIF-0002", period: "2026-11", subtotal: 1410, ... }]
+ *   //     (18 meals 1440 - 1 skip credit 80 + late fee 50)
+ */
+import { isValidDate, addDays } from './03-tiffin-schedule.js';
+import { ADDON_MODES } from './03-tiffin-addons.js';
+
+export const DELIVERY_STATUSES = ['delivered', 'skipped'];
+
+const toMoney = (amount) => Number(amount.toFixed(2));
+
+const monthOf = (date) => date.slice(0, 7);
+
+const nextMonth = (month) => {
+  const [year, mm] = month.split('-').map(Number);
+  return mm === 12 ? `${year + 1}-01` : `${year}-${String(mm + 1).padStart(2, '0')}`;
+};
+
+const countByMonth = (dates) => {
+  const counts = new Map();
+  for (const date of dates) counts.set(monthOf(date), (counts.get(monthOf(date)) ?? 0) + 1);
+  return counts;
+};
+
+const makeLine = (type, description, quantity, unitPrice) => ({
+  type,
+  description,
+  quantity,
+  unitPrice,
+  amount: toMoney(quantity * unitPrice),
+});
+
+const isValidAddon = (addon) =>
+  addon &&
+  typeof addon.name === 'string' &&
+  Number.isFinite(addon.price) &&
+  ADDON_MODES.includes(addon.mode ?? 'perDay') &&
+  Number.isInteger(addon.quantity ?? 1);
+
+export function generateInvoices(
+  plan,
+  deliveryLog = [],
+  {
+    prefix = 'TIF',
+    startNumber = 1,
+    dueDays = 7,
+    lateFee = 50,
+    openingBalance = 0,
+    payments = [],
+  } = {}
+) {
+  if (!plan || typeof plan !== 'object') return null;
+  if (typeof plan.name !== 'string' || plan.name.length === 0) return null;
+  if (!Number.isFinite(plan.dailyRate) || plan.dailyRate < 0) return null;
+  if (!Array.isArray(deliveryLog) || !Array.isArray(payments)) return null;
+  if (typeof prefix !== 'string' || !Number.isInteger(startNumber) || startNumber < 1) return null;
+  if (!Number.isInteger(dueDays) || dueDays < 0) return null;
+  if (!Number.isFinite(lateFee) || lateFee < 0 || !Number.isFinite(openingBalance)) return null;
+
+  if (!Array.isArray(plan.addons ?? []) || !(plan.addons ?? []).every(isValidAddon)) return null;
+  const addons = (plan.addons ?? []).map((addon) => ({
+    name: addon.name,
+    mode: addon.mode ?? 'perDay',
+    price: addon.price,
+    quantity: addon.quantity ?? 1,
+  }));
+  const dailyAddons = addons.filter((addon) => addon.mode === 'perDay');
+  const mealRate = toMoney(
+    plan.dailyRate - dailyAddons.reduce((sum, addon) => sum + addon.price * addon.quantity, 0)
+  );
+  if (mealRate < 0) return null;
+
+  const scheduled = Array.isArray(plan.deliveryDates) ? new Set(plan.deliveryDates) : null;
+  const logged = new Set();
+  for (const entry of deliveryLog) {
+    if (!entry || !isValidDate(entry.date) || !DELIVERY_STATUSES.includes(entry.status)) {
+      return null;
+    }
+    if (logged.has(entry.date) || (scheduled && !scheduled.has(entry.date))) return null;
+    logged.add(entry.date);
+  }
+  for (const payment of payments) {
+    if (!payment || !isValidDate(payment.date)) return null;
+    if (!Number.isFinite(payment.amount) || payment.amount <= 0) return null;
+  }
+
+  const mealDates = scheduled ? [...scheduled] : [...logged];
+  if (mealDates.length === 0) return [];
+
+  const mealsByMonth = countByMonth(mealDates);
+  const skipsByMonth = countByMonth(
+    deliveryLog.filter((entry) => entry.status === 'skipped').map((entry) => entry.date)
+  );
+  // Weekly addons are charged in the month each plan week starts; a scheduled
+  // week with no delivery (fully paused) is not charged, same as priceAddons.
+  const firstMeal = [...mealDates].sort()[0];
+  const weekStarts = [];
+  const hasWeekly = addons.some((addon) => addon.mode === 'perWeek');
+  const weeks = hasWeekly && Number.isFinite(plan.days) ? Math.ceil(plan.days / 7) : 0;
+  for (let week = 0; week < weeks; week += 1) {
+    const start = addDays(plan.startDate ?? firstMeal, week * 7);
+    const end = addDays(start, 7);
+    if (!scheduled || mealDates.some((date) => date >= start && date < end)) {
+      weekStarts.push(start);
+    }
+  }
+  const weeksByMonth = countByMonth(weekStarts);
+
+  const months = [...mealsByMonth.keys(), ...weeksByMonth.keys()].sort();
+  const lastMonth = months[months.length - 1];
+
+  const paidBetween = (from, to) =>
+    toMoney(
+      payments
+        .filter((p) => (from === null || p.date >= from) && p.date <= to)
+        .reduce((sum, p) => sum + p.amount, 0)
+    );
+
+  const invoices = [];
+  let balance = toMoney(openingBalance);
+  let pendingSkips = 0;
+
+  for (let month = months[0]; month <= lastMonth || pendingSkips > 0; month = nextMonth(month)) {
+    const previous = invoices[invoices.length - 1];
+    const issueDate = `${month}-01`;
+    const lines = [];
+
+    const meals = mealsByMonth.get(month) ?? 0;
+    if (meals > 0) {
+      lines.push(makeLine('meals', `${plan.mealType ?? 'tiffin'} meals`, meals, mealRate));
+    }
+    for (const addon of addons) {
+      let quantity = 0;
+      if (addon.mode === 'perDay') quantity = meals * addon.quantity;
+      if (addon.mode === 'perWeek') quantity = (weeksByMonth.get(month) ?? 0) * addon.quantity;
+      if (addon.mode === 'oneTime' && !previous) quantity = addon.quantity;
+      if (quantity > 0) lines.push(makeLine('addon', addon.name, quantity, addon.price));
+    }
+    if (pendingSkips > 0) {
+      lines.push(
+        makeLine('credit', `skipped meals in ${previous.period}`, pendingSkips, -plan.dailyRate)
+      );
+    }
+    if (previous && lateFee > 0 && previous.balanceDue > 0) {
+      const paidOnTime = paidBetween(previous.issueDate, previous.dueDate);
+      if (paidOnTime < previous.balanceDue) {
+        lines.push(makeLine('late-fee', `late payment on ${previous.invoiceNumber}`, 1, lateFee));
+      }
+    }
+
+    const subtotal = toMoney(lines.reduce((sum, line) => sum + line.amount, 0));
+    const paymentsReceived = paidBetween(
+      previous ? previous.issueDate : null,
+      addDays(issueDate, -1)
+    );
+    const balanceDue = toMoney(balance - paymentsReceived + subtotal);
+
+    invoices.push({
+      invoiceNumber: `${prefix}-${String(startNumber + invoices.length).padStart(4, '0')}`,
+      customer: plan.name,
+      mealType: plan.mealType ?? null,
+      period: month,
+      issueDate,
+      dueDate: addDays(issueDate, dueDays),
+      lines,
+      subtotal,
+      previousBalance: balance,
+      paymentsReceived,
+      balanceDue,
+    });
+
+    balance = balanceDue;
+    pendingSkips = skipsByMonth.get(month) ?? 0;
+  }
+
+  return invoices;
+}
@@ -0,0 +1,152 @@
+/**
+ * 📅 Mumbai Tiffin Service - Delivery Schedule
+ *
+ * Customer chhutti pe jaata hai, Sunday ko dabba nahi chahiye, Diwali pe
+ * service band. Toh plan ka bill "days * dailyRate" nahi, asli delivery
+ * dates se banta hai. Yeh module dates nikalta hai aur plan ko pause/resume
+ * karta hai — hamesha NEW plan object return karke (original same rehta hai).
+ *
+ * Dates "YYYY-MM-DD" strings hain aur UTC calendar pe count hoti hain, taaki
+ * machine ka timezone result na badle.
+ *
+ * Functions:
+ *
+ *   1. buildDeliverySchedule({ startDate, days, deliveryDays, pauses = [], holidays = [] })
+ *      - startDate se `days` calendar days ka window
+ *      - deliveryDays: ["mon", "tue", ...] ya 0-6 (0 = Sunday); default saare din
+ *      - pauses: [{ from, to }] inclusive; `to` na ho toh window ke end tak
+ *      - holidays: ["2026-11-08", ...]
+ *      - Return: sorted delivery dates array, ya null agar kuch bhi invalid
+ *
+ *   2. pausePlan(plan, from, to)
+ *      - Scheduled plan (jisme startDate hai) mein naya pause jodo
+ *      - deliveryDates aur totalCost = dailyRate * deliveries recalculate;
+ *        addons wale plan ka totalCost/addons[].total priceAddons se (perWeek,
+ *        oneTime charges bhi) — dekho 03-tiffin-addons.js
+ *      - Agar plan scheduled nahi ya dates invalid, return null
+ *
+ *   3. resumePlan(plan, date)
+ *      - Open pause (bina `to`) ko `date` se pehle wale din pe band karo
+ *      - Agar koi open pause nahi, return null
+ *
+ *   4. isValidDate(value) => true agar asli "YYYY-MM-DD" calendar date hai
+ *      addDays(date, n)   => n din aage/peeche ki date, ya null agar date invalid
+ *
+ * @example
+ *   buildDeliverySchedule({ startDate: "2026-10-05", days: 7, deliveryDays: ["mon", "tue", "wed", "thu", "fri", "sat"] })
+ *   // => ["2026-10-05", "2026-10-06", "2026-10-07", "2026-10-08", "2026-10-09", "2026-10-10"]
+ */
+import { currentAddons, priceAddons } from './03-tiffin-addons.js';
+
+export const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const parseDate = (value) => {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+  const ms = Date.parse(`${value}T00:00:00Z`);
+  if (Number.isNaN(ms)) return null;
+  // Date.parse rolls 2026-02-30 over to March; reject such dates.
+  return new Date(ms).toISOString().slice(0, 10) === value ? ms : null;
+};
+
+const formatDate = (ms) => new Date(ms).toISOString().slice(0, 10);
+
+export const isValidDate = (value) => parseDate(value) !== null;
+
+export const addDays = (date, n) => {
+  const ms = parseDate(date);
+  if (ms === null || !Number.isInteger(n)) return null;
+  return formatDate(ms + n * DAY_MS);
+};
+
+const toWeekday = (day) => {
+  if (Number.isInteger(day) && day >= 0 && day <= 6) return day;
+  if (typeof day !== 'string') return null;
+  const idx = WEEKDAYS.indexOf(day.slice(0, 3).toLowerCase());
+  return idx === -1 ? null : idx;
+};
+
+export function buildDeliverySchedule({
+  startDate,
+  days,
+  deliveryDays = WEEKDAYS,
+  pauses = [],
+  holidays = [],
+} = {}) {
+  const start = parseDate(startDate);
+  if (start === null) return null;
+  if (!Number.isInteger(days) || days <= 0) return null;
+  if (!Array.isArray(deliveryDays) || !Array.isArray(pauses) || !Array.isArray(holidays)) {
+    return null;
+  }
+
+  const weekdays = deliveryDays.map(toWeekday);
+  if (weekdays.some((day) => day === null)) return null;
+
+  const end = start + (days - 1) * DAY_MS;
+  const ranges = [];
+  for (const pause of pauses) {
+    const from = parseDate(pause?.from);
+    const to = pause?.to === undefined ? end : parseDate(pause.to);
+    if (from === null || to === null || to < from) return null;
+    ranges.push([from, to]);
+  }
+
+  const holidaySet = new Set();
+  for (const holiday of holidays) {
+    if (parseDate(holiday) === null) return null;
+    holidaySet.add(holiday);
+  }
+
+  const dates = [];
+  for (let ms = start; ms <= end; ms += DAY_MS) {
+    if (!weekdays.includes(new Date(ms).getUTCDay())) continue;
+    if (ranges.some(([from, to]) => ms >= from && ms <= to)) continue;
+    const date = formatDate(ms);
+    if (holidaySet.has(date)) continue;
+    dates.push(date);
+  }
+  return dates;
+}
+
+const reschedule = (plan, pauses) => {
+  const deliveryDates = buildDeliverySchedule({
+    startDate: plan.startDate,
+    days: plan.days,
+    deliveryDays: plan.deliveryDays,
+    pauses,
+    holidays: plan.holidays,
+  });
+  if (deliveryDates === null) return null;
+
+  const rescheduled = { ...plan, pauses, deliveryDates };
+  if (Array.isArray(plan.addons)) return priceAddons(rescheduled, currentAddons(plan));
+  return { ...rescheduled, totalCost: plan.dailyRate * deliveryDates.length };
+};
+
+const isScheduledPlan = (plan) =>
+  plan &&
+  typeof plan === 'object' &&
+  typeof plan.startDate === 'string' &&
+  Number.isFinite(plan.dailyRate);
+
+export function pausePlan(plan, from, to) {
+  if (!isScheduledPlan(plan)) return null;
+  const pause = to === undefined ? { from } : { from, to };
+  return reschedule(plan, [...(plan.pauses ?? []), pause]);
+}
+
+export function resumePlan(plan, date) {
+  if (!isScheduledPlan(plan)) return null;
+  const resumeAt = parseDate(date);
+  if (resumeAt === null) return null;
+
+  const pauses = plan.pauses ?? [];
+  const openIdx = pauses.findIndex((p) => p.to === undefined);
+  if (openIdx === -1) return null;
+  const from = parseDate(pauses[openIdx].from);
+  if (resumeAt <= from) return null;
+
+  const closed = { from: pauses[openIdx].from, to: formatDate(resumeAt - DAY_MS) };
+  return reschedule(plan, pauses.map((p, idx) => (idx === openIdx ? closed : p)));
+}
@@ -13,21 +13,41 @@
  *      - Agar name missing/empty, return null
  *      - Return: { name, mealType, days, dailyRate, totalCost }
  *
+ *      Scheduling (optional): createTiffinPlan({ ..., startDate, deliveryDays, pauses, holidays })
+ *      - startDate diya toh plan startDate se `days` calendar days ka hai aur
+ *        sirf asli delivery dates ka paisa lagta hai (dekho 03-tiffin-schedule.js)
+ *      - totalCost = dailyRate * deliveryDates.length
+ *      - Return mein extra: { startDate, deliveryDays, pauses, holidays, deliveryDates }
+ *      - Agar schedule invalid hai, return null
+ *
  *   2. combinePlans(...plans)
  *      - Rest parameter! Takes any number of plan objects
  *      - Each plan: { name, mealType, days, dailyRate, totalCost }
  *      - Return: { totalCustomers, totalRevenue, mealBreakdown }
  *      - mealBreakdown: { veg: count, nonveg: count, ... }
  *      - Agar koi plans nahi diye, return null
+ *      - Revenue per meal type, addon popularity, grouping: analyzePlans
+ *        (dekho 03-tiffin-analytics.js)
  *
  *   3. applyAddons(plan, ...addons)
  *      - plan: { name, mealType, days, dailyRate, totalCost }
- *      - Each addon: { name: "raita", price: 15 }
- *      - Add each addon price to dailyRate
- *      - Recalculate totalCost = new dailyRate * days
+ *      - Each addon: { name: "raita", price: 15 } ya catalogue ka naam "raita"
+ *        ya { name, quantity, price?, mode? } (dekho 03-tiffin-addons.js)
+ *      - Add each perDay addon price * quantity to dailyRate
+ *      - Recalculate totalCost = new dailyRate * days + perWeek/oneTime addons
+ *        (scheduled plan mein days ki jagah deliveryDates.length)
  *      - Return NEW plan object (don't modify original)
- *      - addonNames: array of addon names added
- *      - Agar plan null hai, return null
+ *      - addonNames: plan pe saare addons ke naam
+ *      - addons: [{ name, mode, price, quantity, total }] itemised; same naam
+ *        dobara diya toh quantity badhti hai. Same naam par alag price/mode
+ *        (jaise raita 15 ke baad { name: "raita", price: 25 }) => null
+ *      - Agar plan null hai, ya koi addon unknown / is mealType pe allowed
+ *        nahi / invalid hai, return null
+ *
+ *   4. removeAddons(plan, ...names)
+ *      - applyAddons ka ulta: naam wale addons hata ke dailyRate/totalCost recalculate
+ *      - Jo naam plan pe nahi hai woh ignore hota hai
+ *      - Return NEW plan object, ya null agar plan null hai
  *
  * Hint: Use { destructuring } in params, ...rest for variable args,
  *   spread operator for creating new objects
@@ -39,7 +59,18 @@
  *   combinePlans(plan1, plan2, plan3)
  *   // => { totalCustomers: 3, totalRevenue: 7200, mealBreakdown: { veg: 2, nonveg: 1 } }
  */
-export function createTiffinPlan({ name, mealType = 'veg', days = 30 } = {}) {
+import { buildDeliverySchedule, WEEKDAYS } from './03-tiffin-schedule.js';
+import { resolveAddon, currentAddons, priceAddons } from './03-tiffin-addons.js';
+
+export function createTiffinPlan({
+  name,
+  mealType = 'veg',
+  days = 30,
+  startDate,
+  deliveryDays,
+  pauses = [],
+  holidays = [],
+} = {}) {
   const rates = {
     veg: 80,
     nonveg: 120,
@@ -51,6 +82,26 @@ export function createTiffinPlan({ name, mealType = 'veg', days = 30 } = {}) {
   if (!Number.isFinite(days) || days <= 0) return null;
 
   const dailyRate = rates[mealType];
+
+  if (startDate !== undefined) {
+    const schedule = { startDate, days, deliveryDays, pauses, holidays };
+    const deliveryDates = buildDeliverySchedule(schedule);
+    if (deliveryDates === null) return null;
+
+    return {
+      name,
+      mealType,
+      days,
+      dailyRate,
+      totalCost: dailyRate * deliveryDates.length,
+      startDate,
+      deliveryDays: deliveryDays ?? [...WEEKDAYS],
+      pauses: pauses.map((p) => ({ ...p })),
+      holidays: [...holidays],
+      deliveryDates,
+    };
+  }
+
   const totalCost = dailyRate * days;
 
   return {
@@ -86,23 +137,26 @@ export function combinePlans(...plans) {
 
 export function applyAddons(plan, ...addons) {
   if (!plan || typeof plan !== 'object') return null;
+  const current = currentAddons(plan);
+  if (current === null) return null;
+
+  const next = current.map((addon) => ({ ...addon }));
+  for (const addon of addons) {
+    const resolved = resolveAddon(addon, plan.mealType);
+    if (resolved === null) return null;
+    const existing = next.find((item) => item.name === resolved.name);
+    if (!existing) next.push(resolved);
+    else if (existing.price !== resolved.price || existing.mode !== resolved.mode) return null;
+    else existing.quantity += resolved.quantity;
+  }
 
-  const addonNames = [];
-  const totalAddonPerDay = (Array.isArray(addons) ? addons : []).reduce((sum, addon) => {
-    if (!addon || typeof addon !== 'object') return sum;
-    if (typeof addon.name === 'string') addonNames.push(addon.name);
-    if (!Number.isFinite(addon.price)) return sum;
-    return sum + addon.price;
-  }, 0);
+  return priceAddons(plan, next);
+}
 
-  const dailyRate = (Number.isFinite(plan.dailyRate) ? plan.dailyRate : 0) + totalAddonPerDay;
-  const days = Number.isFinite(plan.days) ? plan.days : 0;
-  const totalCost = dailyRate * days;
+export function removeAddons(plan, ...names) {
+  if (!plan || typeof plan !== 'object') return null;
+  const current = currentAddons(plan);
+  if (current === null) return null;
 
-  return {
-    ...plan,
-    dailyRate,
-    totalCost,
-    addonNames,
-  };
+  return priceAddons(plan, current.filter((addon) => !names.includes(addon.name)));
 }
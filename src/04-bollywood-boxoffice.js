@@ -0,0 +1,184 @@
+/**
+ * 💰 Bollywood Box Office - Collection Projection
+ *
+ * Producer ka pehla sawaal: "Pehle hafte mein kitna aayega?" Team pricer
+ * aur rating calculator alag alag chala ke Excel mein jodti thi. Yeh model
+ * screens, shows, seat mix, hafte-dar-hafte occupancy aur film ki rating se
+ * har din ka gross aur net collection nikalta hai — ticket price har seat
+ * type aur weekend ke liye createTicketPricer se hi aata hai.
+ *
+ * Functions:
+ *
+ *   1. projectBoxOffice(options)
+ *      - options: { pricer, releaseDate, screens, showsPerDay,
+ *                   seatMix: { silver: 120, gold: 60 } (per show),
+ *                   occupancyByWeek: [0.8, 0.5, 0.3], rating, ratingScale = 10,
+ *                   neutralRating = 6, ratingSensitivity = 0.05,
+ *                   weekendBoost = 1.25, gstRate = 0.18 }
+ *      - Har din, har seat type: seats = screens * showsPerDay * seatMix[type]
+ *          tickets = round(seats * occupancy), gross = tickets * pricer(type, isWeekend)
+ *      - Weekend = Fri/Sat/Sun (releaseDate se, UTC); weekend occupancy * weekendBoost
+ *      - Rating (number ya createRatingAggregator result) week 2 se word-of-mouth
+ *        lagata hai: occupancy * (1 + ratingSensitivity * (rating - neutralRating))
+ *        rating aur neutralRating dono ratingScale pe hain (ratingSensitivity har
+ *        ratingScale point ke liye). Aggregator result apna `scale` (outputScale)
+ *        saath laata hai aur ratingScale pe convert hota hai, toh 5-point result
+ *        10-point neutralRating se galat nahi milta.
+ *        Rating ya neutralRating 0..ratingScale ke bahar => null
+ *      - Occupancy hamesha 0..1 mein clamp hoti hai
+ *      - net = gross / (1 + gstRate) (ticket price GST ke saath hota hai)
+ *      - Return: { days: [{ day, date, weekday, week, isWeekend, occupancy, tickets,
+ *                           gross, net, cumulativeGross, cumulativeNet }],
+ *                  weeks: [{ week, tickets, gross, net }], totals: { tickets, gross, net } }
+ *        Din = occupancyByWeek.length * 7
+ *      - Kuch bhi invalid (pricer function nahi, seat type pricer ko unknown,
+ *        occupancy 0..1 ke bahar, date galat, rating scale se bahar) => null
+ *
+ *   2. projectionToCSV(projection)
+ *      - "day,date,weekday,week,isWeekend,occupancy,tickets,gross,net,cumulativeGross,cumulativeNet"
+ *        header + har din ki row. Invalid projection => null
+ *
+ * @example
+ *   const projection = projectBoxOffice({
+ *     pricer: createTicketPricer(200), releaseDate: "2026-11-06", screens: 1000,
+ *     showsPerDay: 4, seatMix: { silver: 150, gold: 50 }, occupancyByWeek: [0.6, 0.35],
+ *     rating: 8,
+ *   });
+ *   projection.weeks[0].gross  // => pehle hafte ka gross (rupees mein)
+ */
+import { isValidDate, addDays } from './03-tiffin-schedule.js';
+
+const WEEKDAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const WEEKEND = ['fri', 'sat', 'sun'];
+
+const CSV_COLUMNS = [
+  'day',
+  'date',
+  'weekday',
+  'week',
+  'isWeekend',
+  'occupancy',
+  'tickets',
+  'gross',
+  'net',
+  'cumulativeGross',
+  'cumulativeNet',
+];
+
+const toMoney = (amount) => Number(amount.toFixed(2));
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+const isShare = (value) => Number.isFinite(value) && value >= 0 && value <= 1;
+
+const clamp = (value) => Math.min(1, Math.max(0, value));
+
+export function projectBoxOffice({
+  pricer,
+  releaseDate,
+  screens,
+  showsPerDay,
+  seatMix,
+  occupancyByWeek,
+  rating,
+  ratingScale = 10,
+  neutralRating = 6,
+  ratingSensitivity = 0.05,
+  weekendBoost = 1.25,
+  gstRate = 0.18,
+} = {}) {
+  if (typeof pricer !== 'function' || !isValidDate(releaseDate)) return null;
+  if (!isPositiveInteger(screens) || !isPositiveInteger(showsPerDay)) return null;
+  if (!seatMix || typeof seatMix !== 'object' || Object.keys(seatMix).length === 0) return null;
+  if (!Object.values(seatMix).every((seats) => Number.isInteger(seats) && seats >= 0)) return null;
+  if (!Array.isArray(occupancyByWeek) || occupancyByWeek.length === 0) return null;
+  if (!occupancyByWeek.every(isShare)) return null;
+  if (![neutralRating, ratingSensitivity].every(Number.isFinite)) return null;
+  if (!Number.isFinite(ratingScale) || ratingScale <= 0) return null;
+  if (neutralRating < 0 || neutralRating > ratingScale) return null;
+  if (!Number.isFinite(weekendBoost) || weekendBoost <= 0) return null;
+  if (!Number.isFinite(gstRate) || gstRate < 0) return null;
+
+  const isResult = rating !== null && typeof rating === 'object';
+  const sourceScale = isResult ? rating.scale ?? ratingScale : ratingScale;
+  if (!Number.isFinite(sourceScale) || sourceScale <= 0) return null;
+  const raw = isResult ? rating.rating : rating;
+  if (!Number.isFinite(raw) || raw < 0 || raw > sourceScale) return null;
+  const score = (raw / sourceScale) * ratingScale;
+  const wordOfMouth = 1 + ratingSensitivity * (score - neutralRating);
+
+  const prices = {};
+  for (const seatType of Object.keys(seatMix)) {
+    prices[seatType] = { weekday: pricer(seatType, false), weekend: pricer(seatType, true) };
+    if (!Number.isFinite(prices[seatType].weekday) || !Number.isFinite(prices[seatType].weekend)) {
+      return null;
+    }
+  }
+
+  const days = [];
+  let cumulativeGross = 0;
+  let cumulativeNet = 0;
+
+  for (let idx = 0; idx < occupancyByWeek.length * 7; idx += 1) {
+    const date = addDays(releaseDate, idx);
+    const weekday = WEEKDAY_NAMES[new Date(`${date}T00:00:00Z`).getUTCDay()];
+    const week = Math.floor(idx / 7) + 1;
+    const isWeekend = WEEKEND.includes(weekday);
+
+    let occupancy = occupancyByWeek[week - 1];
+    if (week > 1) occupancy *= wordOfMouth;
+    if (isWeekend) occupancy *= weekendBoost;
+    occupancy = Number(clamp(occupancy).toFixed(4));
+
+    let tickets = 0;
+    let gross = 0;
+    for (const [seatType, seatsPerShow] of Object.entries(seatMix)) {
+      const sold = Math.round(screens * showsPerDay * seatsPerShow * occupancy);
+      tickets += sold;
+      gross += sold * prices[seatType][isWeekend ? 'weekend' : 'weekday'];
+    }
+    const net = gross / (1 + gstRate);
+    cumulativeGross += gross;
+    cumulativeNet += net;
+
+    days.push({
+      day: idx + 1,
+      date,
+      weekday,
+      week,
+      isWeekend,
+      occupancy,
+      tickets,
+      gross: toMoney(gross),
+      net: toMoney(net),
+      cumulativeGross: toMoney(cumulativeGross),
+      cumulativeNet: toMoney(cumulativeNet),
+    });
+  }
+
+  const weeks = occupancyByWeek.map((_, idx) => {
+    const slice = days.filter((d) => d.week === idx + 1);
+    return {
+      week: idx + 1,
+      tickets: slice.reduce((sum, d) => sum + d.tickets, 0),
+      gross: toMoney(slice.reduce((sum, d) => sum + d.gross, 0)),
+      net: toMoney(slice.reduce((sum, d) => sum + d.net, 0)),
+    };
+  });
+
+  return {
+    days,
+    weeks,
+    totals: {
+      tickets: weeks.reduce((sum, w) => sum + w.tickets, 0),
+      gross: toMoney(cumulativeGross),
+      net: toMoney(cumulativeNet),
+    },
+  };
+}
+
+export function projectionToCSV(projection) {
+  if (!projection || !Array.isArray(projection.days)) return null;
+  const rows = [CSV_COLUMNS, ...projection.days.map((day) => CSV_COLUMNS.map((col) => day[col]))];
+  return rows.map((row) => row.join(',')).join('\n');
+}
@@ -0,0 +1,174 @@
+/**
+ * 🎬 Bollywood Dialogue Engine - Custom Genres & Templates
+ *
+ * createDialogueWriter mein sirf chaar genre aur do slot (hero, villain) hain.
+ * Writers ko apne genre chahiye — "maa ka pyaar", "Mumbai underworld" — jinme
+ * {city}, {mother} jaise naye naam ho, kuch lines sirf tab aayein jab value
+ * di ho, aur har baar ek hi dialogue na bole. Yeh engine wahi karta hai.
+ *
+ * Template syntax:
+ *   {name}              => values.name (missing ho toh clear Error throw hota hai)
+ *   {?name}...{/name}   => andar ka text sirf tab jab values.name diya ho
+ *   {^name}...{/name}   => andar ka text sirf tab jab values.name NAHI diya ho
+ *   Sections nest ho sakte hain. Baaki { } wala text waise hi chhapta hai.
+ *   "Diya ho" = null/undefined/""/false nahi.
+ *
+ * Function: createDialogueEngine({ genres = DEFAULT_GENRES, strategy = "round-robin", seed = 1 })
+ *
+ *   - genres: { [genre]: template | [templates] } — ek genre ke kai variants
+ *   - strategy: "round-robin" (variants baari baari) ya "random" (seeded RNG,
+ *     same seed => same sequence)
+ *   - Agar genres object nahi, koi template invalid, strategy unknown ya seed
+ *     integer nahi, return null
+ *
+ * Returns an object with these methods:
+ *
+ *   - registerGenre(name, templates) => true, ya false agar naam pehle se hai /
+ *     template invalid (unclosed ya galat section)
+ *   - removeGenre(name)  => true, ya false agar genre nahi mila
+ *   - listGenres()       => genre names (registration order mein)
+ *   - createWriter(genre, { strategy, seed })
+ *       => (values) => dialogue string; engine ki strategy/seed override ho sakti hai
+ *       Har writer ka apna round-robin counter / RNG hota hai
+ *       Unknown genre => null
+ *       Template ka placeholder values mein nahi => Error:
+ *       'Unknown placeholder {city} in "mumbai" template' (undefined kabhi nahi chhapta)
+ *
+ * @example
+ *   const engine = createDialogueEngine();
+ *   engine.registerGenre("mumbai", [
+ *     "{hero}: '{city} meri hai{?villain}, {villain}{/villain}!'",
+ *     "{hero}: 'Aaj {city} mein sirf mera raaj chalega!'",
+ *   ]);
+ *   const write = engine.createWriter("mumbai");
+ *   write({ hero: "Vijay", city: "Bambai" })  // => "Vijay: 'Bambai meri hai!'"
+ *   write({ hero: "Vijay", city: "Bambai" })  // => "Vijay: 'Aaj Bambai mein sirf mera raaj chalega!'"
+ */
+export const DEFAULT_GENRES = {
+  action: "{hero} says: 'Tujhe toh main dekh lunga, {villain}!'",
+  romance: "{hero} whispers: '{villain}, tum mere liye sab kuch ho'",
+  comedy: "{hero} laughs: '{villain} bhai, kya kar rahe ho yaar!'",
+  drama: "{hero} cries: '{villain}, tune mera sab kuch cheen liya!'",
+};
+
+export const PICK_STRATEGIES = ['round-robin', 'random'];
+
+const TAG = /\{([?^/]?)([A-Za-z_]\w*)\}/g;
+
+// Parses a template into [text | { name } | { name, when, children }] nodes,
+// or null when sections are unbalanced.
+const compile = (template) => {
+  if (typeof template !== 'string') return null;
+  const root = [];
+  const stack = [{ name: null, children: root }];
+  let last = 0;
+
+  for (const match of template.matchAll(TAG)) {
+    const [tag, kind, name] = match;
+    const current = stack[stack.length - 1];
+    if (match.index > last) current.children.push(template.slice(last, match.index));
+    last = match.index + tag.length;
+
+    if (kind === '') {
+      current.children.push({ name });
+    } else if (kind === '/') {
+      if (current.name !== name) return null;
+      stack.pop();
+    } else {
+      const section = { name, when: kind === '?', children: [] };
+      current.children.push(section);
+      stack.push(section);
+    }
+  }
+
+  if (stack.length !== 1) return null;
+  if (last < template.length) root.push(template.slice(last));
+  return root;
+};
+
+const compileAll = (templates) => {
+  const list = Array.isArray(templates) ? templates : [templates];
+  if (list.length === 0) return null;
+  const compiled = list.map(compile);
+  return compiled.some((nodes) => nodes === null) ? null : compiled;
+};
+
+const isGiven = (value) => value !== undefined && value !== null && value !== '' && value !== false;
+
+const render = (nodes, values, genre) =>
+  nodes
+    .map((node) => {
+      if (typeof node === 'string') return node;
+      if (node.children) {
+        return isGiven(values[node.name]) === node.when ? render(node.children, values, genre) : '';
+      }
+      if (!Object.prototype.hasOwnProperty.call(values, node.name) || !isGiven(values[node.name])) {
+        throw new Error(`Unknown placeholder {${node.name}} in "${genre}" template`);
+      }
+      return String(values[node.name]);
+    })
+    .join('');
+
+// mulberry32: small, fast and good enough to shuffle dialogue variants.
+const seededRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+export function createDialogueEngine({
+  genres = DEFAULT_GENRES,
+  strategy = 'round-robin',
+  seed = 1,
+} = {}) {
+  if (!genres || typeof genres !== 'object' || Array.isArray(genres)) return null;
+  if (!PICK_STRATEGIES.includes(strategy) || !Number.isInteger(seed)) return null;
+
+  const registry = new Map();
+  for (const [name, templates] of Object.entries(genres)) {
+    const compiled = compileAll(templates);
+    if (compiled === null) return null;
+    registry.set(name, compiled);
+  }
+
+  const registerGenre = (name, templates) => {
+    if (typeof name !== 'string' || name.length === 0 || registry.has(name)) return false;
+    const compiled = compileAll(templates);
+    if (compiled === null) return false;
+    registry.set(name, compiled);
+    return true;
+  };
+
+  const removeGenre = (name) => registry.delete(name);
+
+  const listGenres = () => [...registry.keys()];
+
+  const createWriter = (genre, options = {}) => {
+    if (!registry.has(genre)) return null;
+    const pick = options.strategy ?? strategy;
+    const writerSeed = options.seed ?? seed;
+    if (!PICK_STRATEGIES.includes(pick) || !Number.isInteger(writerSeed)) return null;
+
+    const variants = registry.get(genre);
+    const random = seededRandom(writerSeed);
+    let turn = 0;
+
+    return (values = {}) => {
+      const index =
+        pick === 'random' ? Math.floor(random() * variants.length) : turn++ % variants.length;
+      return render(variants[index], values ?? {}, genre);
+    };
+  };
+
+  return {
+    registerGenre,
+    removeGenre,
+    listGenres,
+    createWriter,
+  };
+}
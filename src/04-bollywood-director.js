@@ -16,8 +16,10 @@
  *        "drama"   => `${hero} cries: '${villain}, tune mera sab kuch cheen liya!'`
  *      - Unknown genre => return null (not a function, just null)
  *      - Returned function: if hero or villain empty/missing, return "..."
+ *      - Apne genres, {city} jaise placeholders aur variants ke liye:
+ *        createDialogueEngine (dekho 04-bollywood-dialogue.js)
  *
- *   2. createTicketPricer(basePrice)
+ *   2. createTicketPricer(basePrice, rules)
  *      - Factory: returns a function (seatType, isWeekend = false) => price
  *      - Seat multipliers: silver=1, gold=1.5, platinum=2
  *      - Agar isWeekend, multiply final price by 1.3 (30% extra)
@@ -25,6 +27,23 @@
  *      - Unknown seatType in returned fn => return null
  *      - Agar basePrice not positive number => return null (not a function)
  *
+ *      Rules (optional, defaults in brackets):
+ *        { seatMultipliers, weekendSurcharge [0.3], morningDiscount [0.2],
+ *          morningBefore [12], holidaySurge [0.15], blockbusterSurge [0.25],
+ *          occupancyTiers [DEFAULT_OCCUPANCY_TIERS], concessions [DEFAULT_CONCESSIONS],
+ *          convenienceFee [30], feeGstRate [0.18] }
+ *        Invalid rules => null (not a function)
+ *      Breakdown call: pricer(seatType, { isWeekend, showTime: "10:30" | 10,
+ *        isHoliday, isBlockbuster, occupancy: 0..1, audience = "adult", quantity = 1 })
+ *        - Rules ek ke baad ek multiply hote hain: weekend, morning (show hour <
+ *          morningBefore), holiday, blockbuster, occupancy tier (pehla jiska
+ *          min <= occupancy; rate negative = discount), child/senior concession
+ *        - Return: { seatType, audience, quantity, seatPrice,
+ *                    adjustments: [{ rule, rate, amount }], ticketPrice,
+ *                    convenienceFee, gst, perTicket, total }
+ *          ticketPrice = simple call wala number; GST sirf convenience fee pe
+ *        - Invalid showTime/occupancy/audience/quantity => null
+ *
  *   3. createRatingCalculator(weights)
  *      - Factory: returns a function (scores) => weighted average
  *      - weights: { story: 0.3, acting: 0.3, direction: 0.2, music: 0.2 }
@@ -32,6 +51,8 @@
  *      - Weighted avg = sum of (score * weight) for matching keys
  *      - Round to 1 decimal place
  *      - Agar weights not an object => return null
+ *      - Missing scores ka renormalisation, alag scales aur bahut saare reviewers
+ *        ke liye: createRatingAggregator (dekho 04-bollywood-ratings.js)
  *
  * Hint: A factory function RETURNS another function. The returned function
  *   "remembers" the parameters of the outer function (this is a closure!).
@@ -43,39 +64,139 @@
  *
  *   const pricer = createTicketPricer(200);
  *   pricer("gold", true)  // => 200 * 1.5 * 1.3 = 390
+ *   pricer("gold", { showTime: "10:00", audience: "child" }).perTicket
+ *   // => 300 * 0.8 * 0.75 = 180 + 30 fee + 5.4 GST = 215.4
  */
-export function createDialogueWriter(genre) {
-  const templates = {
-    action: (hero, villain) => `${hero} says: 'Tujhe toh main dekh lunga, ${villain}!'`,
-    romance: (hero, villain) => `${hero} whispers: '${villain}, tum mere liye sab kuch ho'`,
-    comedy: (hero, villain) => `${hero} laughs: '${villain} bhai, kya kar rahe ho yaar!'`,
-    drama: (hero, villain) => `${hero} cries: '${villain}, tune mera sab kuch cheen liya!'`,
-  };
+import { createDialogueEngine, DEFAULT_GENRES } from './04-bollywood-dialogue.js';
 
-  if (!Object.prototype.hasOwnProperty.call(templates, genre)) return null;
-  const build = templates[genre];
+const defaultDialogues = createDialogueEngine();
+
+export function createDialogueWriter(genre) {
+  if (!Object.prototype.hasOwnProperty.call(DEFAULT_GENRES, genre)) return null;
+  const write = defaultDialogues.createWriter(genre);
 
   return (hero, villain) => {
     if (typeof hero !== 'string' || hero.length === 0) return '...';
     if (typeof villain !== 'string' || villain.length === 0) return '...';
-    return build(hero, villain);
+    return write({ hero, villain });
   };
 }
 
-export function createTicketPricer(basePrice) {
+export const DEFAULT_SEAT_MULTIPLIERS = { silver: 1, gold: 1.5, platinum: 2 };
+
+export const DEFAULT_OCCUPANCY_TIERS = [
+  { min: 0.9, rate: 0.2 },
+  { min: 0.7, rate: 0.1 },
+  { min: 0.3, rate: 0 },
+  { min: 0, rate: -0.1 },
+];
+
+export const DEFAULT_CONCESSIONS = { adult: 0, child: 0.25, senior: 0.2 };
+
+const toMoney = (amount) => Number(amount.toFixed(2));
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isRate = (value) => Number.isFinite(value) && value >= 0 && value <= 1;
+
+const showHour = (showTime) => {
+  if (Number.isInteger(showTime) && showTime >= 0 && showTime <= 23) return showTime;
+  const match = typeof showTime === 'string' ? /^(\d{1,2}):(\d{2})$/.exec(showTime) : null;
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) return null;
+  return Number(match[1]);
+};
+
+export function createTicketPricer(
+  basePrice,
+  {
+    seatMultipliers = DEFAULT_SEAT_MULTIPLIERS,
+    weekendSurcharge = 0.3,
+    morningDiscount = 0.2,
+    morningBefore = 12,
+    holidaySurge = 0.15,
+    blockbusterSurge = 0.25,
+    occupancyTiers = DEFAULT_OCCUPANCY_TIERS,
+    concessions = DEFAULT_CONCESSIONS,
+    convenienceFee = 30,
+    feeGstRate = 0.18,
+  } = {}
+) {
   if (!Number.isFinite(basePrice) || basePrice <= 0) return null;
+  if (!isPlainObject(seatMultipliers) || !isPlainObject(concessions)) return null;
+  if (!Object.values(seatMultipliers).every((m) => Number.isFinite(m) && m > 0)) return null;
+  if (!Object.values(concessions).every(isRate)) return null;
+  const surges = [weekendSurcharge, holidaySurge, blockbusterSurge];
+  if (!surges.every((rate) => Number.isFinite(rate) && rate >= 0)) return null;
+  if (!isRate(morningDiscount) || !isRate(feeGstRate)) return null;
+  if (!Number.isInteger(morningBefore) || morningBefore < 0 || morningBefore > 24) return null;
+  if (!Number.isFinite(convenienceFee) || convenienceFee < 0) return null;
+  if (!Array.isArray(occupancyTiers)) return null;
+  const validTier = (t) => t && isRate(t.min) && Number.isFinite(t.rate) && t.rate > -1;
+  if (!occupancyTiers.every(validTier)) return null;
+
+  const multipliers = { ...seatMultipliers };
+  const tiers = [...occupancyTiers].sort((a, b) => b.min - a.min);
+
+  const breakdown = (seatType, options) => {
+    const {
+      isWeekend = false,
+      isHoliday = false,
+      isBlockbuster = false,
+      showTime,
+      occupancy,
+      audience = 'adult',
+      quantity = 1,
+    } = options;
+    if (!Object.prototype.hasOwnProperty.call(concessions, audience)) return null;
+    if (!Number.isInteger(quantity) || quantity <= 0) return null;
+
+    const rules = [];
+    if (isWeekend) rules.push(['weekend', weekendSurcharge]);
+    if (showTime !== undefined) {
+      const hour = showHour(showTime);
+      if (hour === null) return null;
+      if (hour < morningBefore) rules.push(['morning', -morningDiscount]);
+    }
+    if (isHoliday) rules.push(['holiday', holidaySurge]);
+    if (isBlockbuster) rules.push(['blockbuster', blockbusterSurge]);
+    if (occupancy !== undefined) {
+      if (!isRate(occupancy)) return null;
+      const tier = tiers.find((t) => occupancy >= t.min);
+      if (tier && tier.rate !== 0) rules.push(['occupancy', tier.rate]);
+    }
+    if (concessions[audience] > 0) rules.push([audience, -concessions[audience]]);
+
+    const seatPrice = basePrice * multipliers[seatType];
+    let price = seatPrice;
+    const adjustments = rules.map(([rule, rate]) => {
+      const amount = price * rate;
+      price += amount;
+      return { rule, rate, amount: toMoney(amount) };
+    });
+
+    const ticketPrice = Math.round(price);
+    const gst = toMoney(convenienceFee * feeGstRate);
+    const perTicket = toMoney(ticketPrice + convenienceFee + gst);
 
-  const multipliers = {
-    silver: 1,
-    gold: 1.5,
-    platinum: 2,
+    return {
+      seatType,
+      audience,
+      quantity,
+      seatPrice: toMoney(seatPrice),
+      adjustments,
+      ticketPrice,
+      convenienceFee,
+      gst,
+      perTicket,
+      total: toMoney(perTicket * quantity),
+    };
   };
 
   return (seatType, isWeekend = false) => {
     if (!Object.prototype.hasOwnProperty.call(multipliers, seatType)) return null;
-    const multiplier = multipliers[seatType];
-    const weekendFactor = isWeekend ? 1.3 : 1;
-    return Math.round(basePrice * multiplier * weekendFactor);
+    if (isPlainObject(isWeekend)) return breakdown(seatType, isWeekend);
+    return breakdown(seatType, { isWeekend }).ticketPrice;
   };
 }
 
@@ -0,0 +1,157 @@
+/**
+ * ⭐ Bollywood Ratings - Critic & Audience Aggregation
+ *
+ * createRatingCalculator missing scores ko chupchap 0 maan leta hai — sirf
+ * music pe rate hui film ka average gir jaata hai — aur weights ka total 1
+ * na ho toh koi nahi bolta. Yeh aggregator har review ko sirf uski maujood
+ * categories pe renormalise karta hai, alag alag scale (5, 10, 100) samajhta
+ * hai, aur bahut saare critics/audience ke reviews ko ek rating mein jodta hai.
+ *
+ * Function: createRatingAggregator(weights, options)
+ *
+ *   - weights: { story: 0.3, acting: 0.3, direction: 0.2, music: 0.2 }
+ *       Non-negative numbers, kam se kam ek positive. Total 1 na ho toh
+ *       normaliseWeights = true (default) pe normalise, warna null
+ *   - options: { scale = 10, outputScale = 10, method = "mean", trim = 0.1,
+ *                normaliseWeights = true, confidence = { medium: 5, high: 20 } }
+ *       method: "mean" | "median" | "trimmed" (har taraf se trim fraction hatao)
+ *   - Invalid weights/options => null (not a function)
+ *
+ *   Returned function (reviews) => result
+ *     - reviews: ek review ya array. Review = scores object ({ story: 8, music: 9 })
+ *       ya { scores, scale, source } (source jaise "critic" / "audience")
+ *     - Har review: sum(weight * score / scale) / sum(weights of present categories)
+ *       Jiske paas koi weighted category nahi, woh skip (skipped mein gina jaata hai)
+ *     - Return: { rating, scale, method, reviews, skipped, confidence,
+ *                 categories: { [category]: average }, bySource? }
+ *       rating/categories outputScale pe, 1 decimal (scale = outputScale, taaki
+ *       aage waale jaise projectBoxOffice rating ko sahi scale pe padhein);
+ *       koi valid review nahi => rating null
+ *       confidence: reviews < medium => "low", < high => "medium", warna "high"
+ *       bySource sirf tab jab kisi review mein source ho: { [source]: { rating, reviews, confidence } }
+ *     - Score scale ke bahar / non-number, ya review invalid => null
+ *
+ * @example
+ *   const aggregate = createRatingAggregator({ story: 0.5, music: 0.5 });
+ *   aggregate([{ music: 8 }, { scores: { story: 4, music: 5 }, scale: 5 }])
+ *   // => { rating: 8.5, scale: 10, method: "mean", reviews: 2, skipped: 0, confidence: "low", ... }
+ */
+export const AGGREGATION_METHODS = ['mean', 'median', 'trimmed'];
+
+const round1 = (value) => Number(value.toFixed(1));
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const combine = (values, method, trim) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  if (method === 'median') {
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 1 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  }
+  const cut = method === 'trimmed' ? Math.floor(sorted.length * trim) : 0;
+  const kept = sorted.slice(cut, sorted.length - cut);
+  return kept.reduce((sum, value) => sum + value, 0) / kept.length;
+};
+
+export function createRatingAggregator(
+  weights,
+  {
+    scale = 10,
+    outputScale = 10,
+    method = 'mean',
+    trim = 0.1,
+    normaliseWeights = true,
+    confidence = { medium: 5, high: 20 },
+  } = {}
+) {
+  if (!isPlainObject(weights)) return null;
+  const entries = Object.entries(weights);
+  if (!entries.every(([, w]) => Number.isFinite(w) && w >= 0)) return null;
+  const totalWeight = entries.reduce((sum, [, w]) => sum + w, 0);
+  if (totalWeight <= 0) return null;
+  if (Math.abs(totalWeight - 1) > 1e-9 && !normaliseWeights) return null;
+
+  if (![scale, outputScale].every((s) => Number.isFinite(s) && s > 0)) return null;
+  if (!AGGREGATION_METHODS.includes(method)) return null;
+  if (!Number.isFinite(trim) || trim < 0 || trim >= 0.5) return null;
+  if (!isPlainObject(confidence)) return null;
+  const { medium, high } = confidence;
+  if (!Number.isInteger(medium) || !Number.isInteger(high) || medium < 1 || high < medium) {
+    return null;
+  }
+
+  const normalised = new Map(entries.map(([key, w]) => [key, w / totalWeight]));
+
+  const confidenceFor = (count) => {
+    if (count < medium) return 'low';
+    return count < high ? 'medium' : 'high';
+  };
+
+  // Returns { value, parts, source } on a 0..1 scale, null when unrated, or false when invalid.
+  const scoreReview = (review) => {
+    if (!isPlainObject(review)) return false;
+    const wrapped = isPlainObject(review.scores);
+    const scores = wrapped ? review.scores : review;
+    const reviewScale = wrapped ? review.scale ?? scale : scale;
+    if (!Number.isFinite(reviewScale) || reviewScale <= 0) return false;
+
+    let weighted = 0;
+    let presentWeight = 0;
+    const parts = {};
+    for (const [category, score] of Object.entries(scores)) {
+      if (!Number.isFinite(score) || score < 0 || score > reviewScale) return false;
+      if (!normalised.has(category) || normalised.get(category) === 0) continue;
+      parts[category] = score / reviewScale;
+      weighted += normalised.get(category) * parts[category];
+      presentWeight += normalised.get(category);
+    }
+    if (presentWeight === 0) return null;
+    return { value: weighted / presentWeight, parts, source: wrapped ? review.source : undefined };
+  };
+
+  const toOutput = (fraction) => (fraction === null ? null : round1(fraction * outputScale));
+
+  return (reviews) => {
+    const list = Array.isArray(reviews) ? reviews : [reviews];
+    const scored = [];
+    let skipped = 0;
+    for (const review of list) {
+      const result = scoreReview(review);
+      if (result === false) return null;
+      if (result === null) skipped += 1;
+      else scored.push(result);
+    }
+
+    const categories = {};
+    for (const category of normalised.keys()) {
+      const values = scored.map((r) => r.parts[category]).filter((v) => v !== undefined);
+      if (values.length > 0) categories[category] = toOutput(combine(values, method, trim));
+    }
+
+    const result = {
+      rating: toOutput(combine(scored.map((r) => r.value), method, trim)),
+      scale: outputScale,
+      method,
+      reviews: scored.length,
+      skipped,
+      confidence: confidenceFor(scored.length),
+      categories,
+    };
+
+    const sources = [...new Set(scored.map((r) => r.source).filter((s) => s !== undefined))];
+    if (sources.length > 0) {
+      result.bySource = {};
+      for (const source of sources) {
+        const values = scored.filter((r) => r.source === source).map((r) => r.value);
+        result.bySource[source] = {
+          rating: toOutput(combine(values, method, trim)),
+          reviews: values.length,
+          confidence: confidenceFor(values.length),
+        };
+      }
+    }
+    return result;
+  };
+}
@@ -0,0 +1,173 @@
+/**
+ * 🎬 Bollywood Scene Builder - Screenplay from Dialogue Writers
+ *
+ * Ek dialogue se scene nahi banta. Director ko poora scene chahiye: scene
+ * heading, stage directions, kis character ki baari, kaise bolta hai
+ * (parenthetical) aur kya bolta hai. Yeh builder cast aur beats leke har
+ * beat ke genre ka dialogue writer chalata hai aur screenplay elements
+ * banata hai, jo plain text ya Fountain (screenwriting tools ka format)
+ * mein export hote hain.
+ *
+ * Functions:
+ *
+ *   1. buildScene({ heading, cast, beats, title }, { engine })
+ *      - heading: { setting = "INT", location, time = "DAY" } => "INT. MANNAT - NIGHT"
+ *        setting: "INT" | "EXT" | "INT/EXT"
+ *      - cast: ["Shah Rukh", "Raees"] — speaker/target isi list se hone chahiye
+ *      - beats, order mein:
+ *          { genre, speaker, target, direction?, parenthetical?, values? }
+ *            => direction (action line) + character cue + parenthetical + dialogue
+ *          { action: "Baarish ho rahi hai." } => sirf action line
+ *      - Dialogue createDialogueWriter(genre)(speaker, target) se aata hai;
+ *        engine (createDialogueEngine) diya ho toh uska writer
+ *        { hero: speaker, villain: target, ...values } ke saath
+ *      - "Hero whispers: '...'" jaisi line se bolne ka tareeka parenthetical
+ *        "(whispers)" banta hai ("says" ka nahi); beat.parenthetical override karta hai
+ *      - Return: { title, heading, elements: [{ type, text }] }
+ *        type: "action" | "character" | "parenthetical" | "dialogue"
+ *      - Agar heading/cast/beats invalid, speaker/target cast mein nahi,
+ *        genre unknown ya engine template ka koi placeholder values mein nahi,
+ *        return null (engine ka error bahar nahi aata)
+ *
+ *   2. sceneToText(scenes)      => screenplay jaisa indented plain text
+ *      sceneToFountain(scenes)  => Fountain text (title page + scenes)
+ *      - scenes: ek scene ya scenes ka array; invalid ho toh null
+ *      - Title (pehle scene ka) sabse upar aata hai
+ *
+ * @example
+ *   const scene = buildScene({
+ *     heading: { location: "Mannat", time: "night" },
+ *     cast: ["Shah Rukh", "Raees"],
+ *     beats: [{ genre: "action", speaker: "Shah Rukh", target: "Raees", direction: "Darwaza khulta hai." }],
+ *   });
+ *   sceneToFountain(scene)
+ *   // => "INT. MANNAT - NIGHT\n\nDarwaza khulta hai.\n\nSHAH RUKH\nTujhe toh main dekh lunga, Raees!\n"
+ */
+import { createDialogueWriter } from './04-bollywood-director.js';
+
+export const SCENE_SETTINGS = ['INT', 'EXT', 'INT/EXT'];
+
+const LINE = /^(.+?) (\w+): '(.*)'$/s;
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+
+const formatHeading = (heading) => {
+  if (!heading || typeof heading !== 'object') return null;
+  const { setting = 'INT', location, time = 'DAY' } = heading;
+  if (!SCENE_SETTINGS.includes(setting)) return null;
+  if (!isNonEmptyString(location) || !isNonEmptyString(time)) return null;
+  return `${setting}. ${location.trim().toUpperCase()} - ${time.trim().toUpperCase()}`;
+};
+
+const writerFor = (genre, engine) => {
+  if (engine) {
+    const write = engine.createWriter(genre);
+    if (!write) return null;
+    return (speaker, target, values) => write({ ...values, hero: speaker, villain: target });
+  }
+  const write = createDialogueWriter(genre);
+  return write && ((speaker, target) => write(speaker, target));
+};
+
+export function buildScene({ heading, cast, beats, title = null } = {}, { engine } = {}) {
+  const sceneHeading = formatHeading(heading);
+  if (sceneHeading === null) return null;
+  if (!Array.isArray(cast) || !cast.every(isNonEmptyString)) return null;
+  if (!Array.isArray(beats)) return null;
+
+  const writers = new Map();
+  const elements = [];
+
+  for (const beat of beats) {
+    if (!beat || typeof beat !== 'object') return null;
+    if (beat.action !== undefined) {
+      if (!isNonEmptyString(beat.action)) return null;
+      elements.push({ type: 'action', text: beat.action });
+      continue;
+    }
+
+    const { genre, speaker, target, direction, parenthetical, values = {} } = beat;
+    if (!cast.includes(speaker) || !cast.includes(target)) return null;
+    if (!writers.has(genre)) writers.set(genre, writerFor(genre, engine));
+    const write = writers.get(genre);
+    if (!write) return null;
+
+    let line;
+    try {
+      line = write(speaker, target, values);
+    } catch {
+      return null;
+    }
+    const match = LINE.exec(line);
+    const spoken = match && match[1] === speaker ? match[3] : line;
+    const manner = match && match[1] === speaker && match[2] !== 'says' ? match[2] : null;
+
+    if (isNonEmptyString(direction)) elements.push({ type: 'action', text: direction });
+    elements.push({ type: 'character', text: speaker.toUpperCase() });
+    const aside = isNonEmptyString(parenthetical) ? parenthetical : manner;
+    if (aside) elements.push({ type: 'parenthetical', text: `(${aside.replace(/^\(|\)$/g, '')})` });
+    elements.push({ type: 'dialogue', text: spoken });
+  }
+
+  return { title, heading: sceneHeading, elements };
+}
+
+const toSceneList = (scenes) => {
+  const list = Array.isArray(scenes) ? scenes : [scenes];
+  const valid = list.every(
+    (scene) => scene && isNonEmptyString(scene.heading) && Array.isArray(scene.elements)
+  );
+  return list.length > 0 && valid ? list : null;
+};
+
+// Groups elements into paragraphs: a cue with its parenthetical and dialogue stays together.
+const blocks = (elements, format) => {
+  const out = [];
+  for (const { type, text } of elements) {
+    const line = format(type, text);
+    if (type === 'action' || type === 'character') out.push([line]);
+    else if (out.length > 0) out[out.length - 1].push(line);
+    else out.push([line]);
+  }
+  return out.map((block) => block.join('\n'));
+};
+
+const TEXT_INDENT = { action: 0, character: 20, parenthetical: 15, dialogue: 10 };
+
+export function sceneToText(scenes) {
+  const list = toSceneList(scenes);
+  if (list === null) return null;
+
+  const parts = [];
+  if (isNonEmptyString(list[0].title)) parts.push(list[0].title.toUpperCase());
+  for (const scene of list) {
+    parts.push(scene.heading);
+    const indent = (type, text) => ' '.repeat(TEXT_INDENT[type] ?? 0) + text;
+    parts.push(...blocks(scene.elements, indent));
+  }
+  return `${parts.join('\n\n')}\n`;
+}
+
+export function sceneToFountain(scenes) {
+  const list = toSceneList(scenes);
+  if (list === null) return null;
+
+  const parts = [];
+  if (isNonEmptyString(list[0].title)) parts.push(`Title: ${list[0].title}`);
+  for (const scene of list) {
+    // Fountain only auto-detects headings starting with INT/EXT; "." forces one.
+    parts.push(/^(INT|EXT)/.test(scene.heading) ? scene.heading : `.${scene.heading}`);
+    parts.push(
+      ...blocks(scene.elements, (type, text) => {
+        // An all-caps action line would be read as a character cue; "!" forces action.
+        if (type === 'action' && text === text.toUpperCase() && /[A-Z]/.test(text)) {
+          return `!${text}`;
+        }
+        // Cues without Latin capitals (e.g. Devanagari names) need "@" to count as characters.
+        if (type === 'character' && !/[A-Z]/.test(text)) return `@${text}`;
+        return text;
+      })
+    );
+  }
+  return `${parts.join('\n\n')}\n`;
+}
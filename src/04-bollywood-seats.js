@@ -0,0 +1,239 @@
+/**
+ * 🎟️ Bollywood Seat Map - Hold, Confirm & Cancel Bookings
+ *
+ * createTicketPricer seat type ka daam batata hai, par asli hall mein rows
+ * hain, seat numbers hain, kuch seats tooti (blocked) hain aur kuch
+ * wheelchair ke liye. Yeh module auditorium ka seat map rakhta hai: seats
+ * thodi der hold hoti hain, phir confirm ya release; booking cancel bhi ho
+ * sakti hai. Koi aisa selection allowed nahi jo row mein akeli khaali seat
+ * chhod de. Har booking pricer se priced hoti hai.
+ *
+ * Function: createSeatMap(layout, { pricer, holdMinutes = 10, now = Date.now })
+ *
+ *   - layout: { blocks: [{ seatType, rows: ["A", "B"], seatsPerRow }],
+ *               blocked: ["A5"], wheelchair: ["C1"] }
+ *       Seat id = row + number ("A1" se "A20"); seatType pricer ko pata hona chahiye
+ *   - pricer: createTicketPricer(...) ka function (zaroori)
+ *   - now: clock function (ms) — tests aur replays ke liye inject karo
+ *   - Agar layout invalid (duplicate row, unknown seat id), pricer function
+ *     nahi ya holdMinutes positive nahi, return null
+ *
+ * Returns an object with these methods:
+ *
+ *   - hold(seatIds, { accessible = false })
+ *       => { holdId: "H1", seats, expiresAt } ya null agar:
+ *          seat unknown/blocked/held/booked, wheelchair seat bina accessible,
+ *          duplicate ids, ya selection row mein single-seat gap chhode
+ *          (pass wali seat akeli khaali reh jaaye — row ka kinara bhi deewar hai)
+ *       Expired holds apne aap chhoot jaate hain
+ *   - release(holdId) => true, ya false agar hold nahi mila / expire ho gaya
+ *   - confirm(holdId, { audiences = {}, ...pricingOptions })
+ *       audiences: { A3: "child" } — baaki seats "adult"
+ *       pricingOptions pricer ke breakdown call mein jaate hain (isWeekend, showTime, ...)
+ *       => booking summary:
+ *          { bookingId: "B1", seats: ["A3", "A4"],
+ *            lines: [{ seatType, audience, quantity, ticketPrice, convenienceFee, gst, amount }],
+ *            tickets, convenienceFees, gst, total }
+ *          ya null agar hold nahi mila / expire ho gaya / pricer ne null diya
+ *   - cancel(bookingId) => true (seats wapas available), ya false agar nahi mili
+ *   - getSeat(seatId)   => { id, row, number, seatType, wheelchair, status } ya null
+ *       status: "available" | "held" | "booked" | "blocked"
+ *   - getAvailability() => { [seatType]: available seat count }
+ *
+ * @example
+ *   const hall = createSeatMap(
+ *     { blocks: [{ seatType: "gold", rows: ["A"], seatsPerRow: 6 }] },
+ *     { pricer: createTicketPricer(200) }
+ *   );
+ *   const { holdId } = hall.hold(["A1", "A2"]);
+ *   hall.confirm(holdId).total  // => 2 * (300 + 30 + 5.4) = 670.8
+ */
+const toMoney = (amount) => Number(amount.toFixed(2));
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.length > 0;
+
+export function createSeatMap(layout, { pricer, holdMinutes = 10, now = Date.now } = {}) {
+  if (!layout || typeof layout !== 'object' || !Array.isArray(layout.blocks)) return null;
+  if (typeof pricer !== 'function' || typeof now !== 'function') return null;
+  if (!Number.isFinite(holdMinutes) || holdMinutes <= 0) return null;
+
+  const seats = new Map();
+  const rows = new Map();
+  for (const block of layout.blocks) {
+    if (!block || !isNonEmptyString(block.seatType) || !Array.isArray(block.rows)) return null;
+    if (!Number.isInteger(block.seatsPerRow) || block.seatsPerRow <= 0) return null;
+    if (pricer(block.seatType) === null) return null;
+    const { seatType } = block;
+
+    for (const row of block.rows) {
+      if (!isNonEmptyString(row) || rows.has(row)) return null;
+      const ids = [];
+      for (let number = 1; number <= block.seatsPerRow; number += 1) {
+        const id = `${row}${number}`;
+        if (seats.has(id)) return null;
+        seats.set(id, { id, row, number, seatType, wheelchair: false, blocked: false });
+        ids.push(id);
+      }
+      rows.set(row, ids);
+    }
+  }
+
+  const flagSeats = (ids, flag) => {
+    if (!Array.isArray(ids) || !ids.every((id) => seats.has(id))) return false;
+    for (const id of ids) seats.get(id)[flag] = true;
+    return true;
+  };
+  if (!flagSeats(layout.blocked ?? [], 'blocked')) return null;
+  if (!flagSeats(layout.wheelchair ?? [], 'wheelchair')) return null;
+
+  const holds = new Map();
+  const bookings = new Map();
+  const taken = new Map(); // seat id => { kind: "hold" | "booking", ref }
+  let nextHold = 0;
+  let nextBooking = 0;
+
+  const expireHolds = () => {
+    const time = now();
+    for (const [holdId, hold] of holds) {
+      if (hold.expiresAt > time) continue;
+      for (const id of hold.seats) taken.delete(id);
+      holds.delete(holdId);
+    }
+  };
+
+  const statusOf = (seat) => {
+    if (seat.blocked) return 'blocked';
+    const claim = taken.get(seat.id);
+    if (!claim) return 'available';
+    return claim.kind === 'hold' ? 'held' : 'booked';
+  };
+
+  // A regular seat left free with no free neighbour next to the selection is a gap.
+  const leavesGap = (selection) => {
+    const chosen = new Set(selection);
+    const isFree = (id) =>
+      id !== undefined && !chosen.has(id) && statusOf(seats.get(id)) === 'available';
+
+    for (const id of selection) {
+      const ids = rows.get(seats.get(id).row);
+      const idx = ids.indexOf(id);
+      for (const neighbour of [ids[idx - 1], ids[idx + 1]]) {
+        if (!isFree(neighbour) || seats.get(neighbour).wheelchair) continue;
+        const at = ids.indexOf(neighbour);
+        if (!isFree(ids[at - 1]) && !isFree(ids[at + 1])) return true;
+      }
+    }
+    return false;
+  };
+
+  const hold = (seatIds, { accessible = false } = {}) => {
+    expireHolds();
+    if (!Array.isArray(seatIds) || seatIds.length === 0) return null;
+    if (new Set(seatIds).size !== seatIds.length) return null;
+    for (const id of seatIds) {
+      const seat = seats.get(id);
+      if (!seat || statusOf(seat) !== 'available') return null;
+      if (seat.wheelchair && !accessible) return null;
+    }
+    if (leavesGap(seatIds)) return null;
+
+    nextHold += 1;
+    const holdId = `H${nextHold}`;
+    const expiresAt = now() + holdMinutes * 60 * 1000;
+    holds.set(holdId, { seats: [...seatIds], expiresAt });
+    for (const id of seatIds) taken.set(id, { kind: 'hold', ref: holdId });
+    return { holdId, seats: [...seatIds], expiresAt };
+  };
+
+  const release = (holdId) => {
+    expireHolds();
+    const found = holds.get(holdId);
+    if (!found) return false;
+    for (const id of found.seats) taken.delete(id);
+    holds.delete(holdId);
+    return true;
+  };
+
+  const confirm = (holdId, { audiences = {}, ...pricingOptions } = {}) => {
+    expireHolds();
+    const found = holds.get(holdId);
+    if (!found) return null;
+
+    const groups = new Map();
+    for (const id of found.seats) {
+      const { seatType } = seats.get(id);
+      const audience = audiences[id] ?? 'adult';
+      const key = `${seatType}|${audience}`;
+      if (!groups.has(key)) groups.set(key, { seatType, audience, quantity: 0 });
+      groups.get(key).quantity += 1;
+    }
+
+    const lines = [];
+    for (const { seatType, audience, quantity } of groups.values()) {
+      const priced = pricer(seatType, { ...pricingOptions, audience, quantity });
+      if (!priced || typeof priced !== 'object') return null;
+      lines.push({
+        seatType,
+        audience,
+        quantity,
+        ticketPrice: priced.ticketPrice,
+        convenienceFee: priced.convenienceFee,
+        gst: priced.gst,
+        amount: priced.total,
+      });
+    }
+
+    const sum = (pick) => toMoney(lines.reduce((total, line) => total + pick(line), 0));
+    nextBooking += 1;
+    const bookingId = `B${nextBooking}`;
+    const summary = {
+      bookingId,
+      seats: [...found.seats],
+      lines,
+      tickets: sum((line) => line.ticketPrice * line.quantity),
+      convenienceFees: sum((line) => line.convenienceFee * line.quantity),
+      gst: sum((line) => line.gst * line.quantity),
+      total: sum((line) => line.amount),
+    };
+
+    holds.delete(holdId);
+    bookings.set(bookingId, summary);
+    for (const id of found.seats) taken.set(id, { kind: 'booking', ref: bookingId });
+    return { ...summary, seats: [...summary.seats], lines: lines.map((line) => ({ ...line })) };
+  };
+
+  const cancel = (bookingId) => {
+    const booking = bookings.get(bookingId);
+    if (!booking) return false;
+    for (const id of booking.seats) taken.delete(id);
+    bookings.delete(bookingId);
+    return true;
+  };
+
+  const getSeat = (seatId) => {
+    expireHolds();
+    const seat = seats.get(seatId);
+    if (!seat) return null;
+    const { id, row, number, seatType, wheelchair } = seat;
+    return { id, row, number, seatType, wheelchair, status: statusOf(seat) };
+  };
+
+  const getAvailability = () => {
+    expireHolds();
+    const counts = {};
+    for (const seat of seats.values()) {
+      const free = statusOf(seat) === 'available' ? 1 : 0;
+      counts[seat.seatType] = (counts[seat.seatType] ?? 0) + free;
+    }
+    return counts;
+  };
+
+  return {
+    hold,
+    release,
+    confirm,
+    cancel,
+    getSeat,
+    getAvailability,
+  };
+}
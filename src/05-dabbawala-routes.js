@@ -0,0 +1,112 @@
+/**
+ * 🗺️ Dabbawala Route Planner - Tiffin Plans se Daily Runs
+ *
+ * Tiffin service ke plans ek taraf, dabbawala tracker doosri taraf. Roz subah
+ * kisi ko baithke decide karna padta tha ki kaunsa dabba kaun le jaayega.
+ * Yeh planner us din ke active tiffin plans ko dabbawalas mein baant deta
+ * hai — pehle apne area wale dabbawala ko, jiska load sabse kam ho — aur har
+ * delivery asli createDabbawala tracker mein addDelivery se jaati hai.
+ *
+ * Function: planDeliveryRoutes(plans, dabbawalas, { date, maxPerDabbawala = 30 })
+ *
+ *   - plans: tiffin plans + { pickup, drop, area } (pickup/drop = stations)
+ *       Scheduled plan (deliveryDates wala) sirf unhi dates pe active hai;
+ *       bina schedule wala plan roz active
+ *   - dabbawalas: [{ name, area }] — har ek ke liye createDabbawala(name, area) banta hai
+ *   - Assignment (plans input order mein):
+ *       1. plan.area wale dabbawalas mein se jiska load sabse kam (barabar ho toh list order)
+ *       2. Area mein sab full hain ya koi nahi => baaki mein se sabse kam load wala
+ *       3. Sab maxPerDabbawala pe full => unassigned
+ *   - Return:
+ *       { date,
+ *         manifests: [{ dabbawala, area, count, deliveries: [{ id, customer, mealType, from, to, crossArea }] }],
+ *         unassigned: [{ customer, reason }],
+ *         trackers: { [name]: createDabbawala instance } }
+ *     id = us dabbawala ke tracker ka delivery id; crossArea = dusre area ka plan
+ *   - Plan pe pickup/drop station nahi => unassigned ("missing pickup or drop station")
+ *   - Agar plans/dabbawalas array nahi, dabbawala name/area invalid ya duplicate,
+ *     date invalid, ya maxPerDabbawala positive integer nahi, return null
+ *
+ * @example
+ *   const { manifests } = planDeliveryRoutes(
+ *     [{ ...createTiffinPlan({ name: "Rahul" }), pickup: "Andheri", drop: "Churchgate", area: "Andheri" }],
+ *     [{ name: "Ram", area: "Andheri" }],
+ *     { date: "2026-10-20" }
+ *   );
+ *   // manifests[0] => { dabbawala: "Ram", area: "Andheri", count: 1, deliveries: [{ id: 1, customer: "Rahul", ... }] }
+ */
+import { createDabbawala } from './05-dabbawala-tracker.js';
+import { isValidDate } from './03-tiffin-schedule.js';
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.length > 0;
+
+export function planDeliveryRoutes(plans, dabbawalas, { date, maxPerDabbawala = 30 } = {}) {
+  if (!Array.isArray(plans) || !Array.isArray(dabbawalas)) return null;
+  if (!isValidDate(date)) return null;
+  if (!Number.isInteger(maxPerDabbawala) || maxPerDabbawala <= 0) return null;
+
+  const runs = [];
+  for (const person of dabbawalas) {
+    if (!person || !isNonEmptyString(person.name) || !isNonEmptyString(person.area)) return null;
+    if (runs.some((run) => run.name === person.name)) return null;
+    runs.push({
+      name: person.name,
+      area: person.area,
+      tracker: createDabbawala(person.name, person.area),
+      deliveries: [],
+    });
+  }
+
+  const isActive = (plan) =>
+    !Array.isArray(plan.deliveryDates) || plan.deliveryDates.includes(date);
+
+  const leastLoaded = (candidates) =>
+    candidates
+      .filter((run) => run.deliveries.length < maxPerDabbawala)
+      .reduce(
+        (best, run) => (!best || run.deliveries.length < best.deliveries.length ? run : best),
+        null
+      );
+
+  const unassigned = [];
+  for (const plan of plans) {
+    if (!plan || typeof plan !== 'object' || !isActive(plan)) continue;
+    const customer = plan.name ?? null;
+
+    if (!isNonEmptyString(plan.pickup) || !isNonEmptyString(plan.drop)) {
+      unassigned.push({ customer, reason: 'missing pickup or drop station' });
+      continue;
+    }
+
+    const local = leastLoaded(runs.filter((run) => run.area === plan.area));
+    const run = local ?? leastLoaded(runs);
+    if (!run) {
+      unassigned.push({ customer, reason: 'all dabbawalas are at capacity' });
+      continue;
+    }
+
+    run.deliveries.push({
+      id: run.tracker.addDelivery(plan.pickup, plan.drop),
+      customer,
+      mealType: plan.mealType ?? null,
+      from: plan.pickup,
+      to: plan.drop,
+      crossArea: run.area !== plan.area,
+    });
+  }
+
+  const trackers = {};
+  for (const run of runs) trackers[run.name] = run.tracker;
+
+  return {
+    date,
+    manifests: runs.map((run) => ({
+      dabbawala: run.name,
+      area: run.area,
+      count: run.deliveries.length,
+      deliveries: run.deliveries,
+    })),
+    unassigned,
+    trackers,
+  };
+}
@@ -0,0 +1,58 @@
+/**
+ * 💾 Dabbawala Tracker - Storage Adapters
+ *
+ * createDabbawala ka save()/load() kisi bhi storage pe chal sakta hai jo
+ * do methods de: read(key) aur write(key, text). Yahan do ready adapters hain.
+ *
+ * Functions:
+ *
+ *   1. createMemoryStorage()
+ *      - Process memory mein Map; tests aur temporary runs ke liye
+ *      - read(key) => text ya null, write(key, text) => true
+ *
+ *   2. createFileStorage(dir)
+ *      - ASYNC: har key ek JSON file — `${dir}/${encodeURIComponent(key)}.json`
+ *      - write directory bana deta hai agar nahi hai
+ *      - read: file nahi mili toh null; baaki errors (permission etc.) throw hote hain
+ *      - Agar dir empty/non-string, return null
+ *
+ * @example
+ *   const ram = createDabbawala("Ram", "Dadar", { storage: createFileStorage("./data") });
+ *   ram.addDelivery("Andheri", "Churchgate");
+ *   await ram.save();   // => ./data/Ram.json
+ */
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+
+export function createMemoryStorage() {
+  const entries = new Map();
+
+  return {
+    read: (key) => (entries.has(key) ? entries.get(key) : null),
+    write: (key, text) => {
+      entries.set(key, text);
+      return true;
+    },
+  };
+}
+
+export function createFileStorage(dir) {
+  if (typeof dir !== 'string' || dir.length === 0) return null;
+  const pathFor = (key) => join(dir, `${encodeURIComponent(key)}.json`);
+
+  return {
+    read: async (key) => {
+      try {
+        return await readFile(pathFor(key), 'utf8');
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+    },
+    write: async (key, text) => {
+      await mkdir(dir, { recursive: true });
+      await writeFile(pathFor(key), text, 'utf8');
+      return true;
+    },
+  };
+}
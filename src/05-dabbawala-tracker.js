@@ -15,20 +15,66 @@
  *     Agar from ya to empty/missing, return -1
  *
  *   - completeDelivery(id)
- *     Marks delivery as "completed". Returns true if found and was pending.
+ *     Marks delivery as completed (status "delivered"). Returns true if found
+ *     and was still out (pending / picked / in-transit).
  *     Returns false if not found or already completed.
  *
  *   - getActiveDeliveries()
- *     Returns array of deliveries with status "pending" (copies, not references)
+ *     Returns array of deliveries still out — "pending", "picked", "in-transit"
+ *     (copies, not references; { id, from, to, status })
  *
  *   - getStats()
- *     Returns: { name, area, total, completed, pending, successRate }
- *     successRate = completed/total as percentage string "85.00%" (toFixed(2) + "%")
- *     Agar total is 0, successRate = "0.00%"
+ *     Returns: { name, area, total, completed, pending, successRate, byStatus }
+ *     completed = delivered + returned; pending = status "pending"
+ *     successRate = completed / (total - reassigned - cancelled) as percentage
+ *     string "85.00%" (toFixed(2) + "%") — dabba kisi aur ko dena ya customer ka
+ *     cancel karna is dabbawala ki naakami nahi, isliye woh ginti mein nahi
+ *     Agar yeh denominator 0 hai, successRate = "0.00%"
+ *     byStatus: { pending, picked, "in-transit", delivered, returned, failed,
+ *                 cancelled, reassigned } counts
  *
  *   - reset()
  *     Clears all deliveries, resets id counter to 0. Returns true.
  *
+ * Delivery lifecycle (state machine, DELIVERY_TRANSITIONS):
+ *
+ *   pending -> picked -> in-transit -> delivered -> returned (khaali dabba wapas)
+ *   pending/picked -> cancelled, picked/in-transit -> failed, failed -> pending (retry)
+ *
+ *   - updateStatus(id, status, { reason, station })
+ *     Sirf allowed transition; "failed" aur "cancelled" ke liye reason zaroori,
+ *     station sirf "in-transit" ke saath. Returns true, ya false agar guard fail
+ *   - getDelivery(id)
+ *     => { id, from, to, status, history: [{ status, at, reason?, station?, ... }] } ya null
+ *   - reassignDelivery(id, otherDabbawala, { reason })
+ *     Active delivery doosre createDabbawala ko: wahan usi status mein nayi id milti
+ *     hai (acceptHandover se) aur yahan status "reassigned" ho jaata hai.
+ *     Returns nayi id, ya -1 agar delivery active nahi / target invalid ya khud hai
+ *   - acceptHandover({ from, to, status, fromDabbawala, originalId, reason })
+ *     reassignDelivery ka receiving end; returns nayi id ya -1
+ *
+ * Event sourcing & persistence (optional third param):
+ *   createDabbawala(name, area, { storage, storageKey = name, now = Date.now })
+ *
+ *   - Har mutation ek event ban ke log mein jaata hai:
+ *       { seq, type: "added", at, id, from, to }
+ *       { seq, type: "completed", at, id }
+ *       { seq, type: "transitioned", at, id, status, reason?, station? }
+ *       { seq, type: "reassigned-out", at, id, to, newId, reason? }
+ *       { seq, type: "reassigned-in", at, id, from, to, status, fromDabbawala, originalId, reason? }
+ *       { seq, type: "reset", at }
+ *     at = now() (ms). State hamesha events replay karke ban sakta hai
+ *   - getEvents()          => events ki copies
+ *   - snapshot()           => { version: 1, name, area, events } (JSON-safe)
+ *   - restore(snapshot, { upTo }) => snapshot ke events replay; upTo = last seq
+ *       jisko lagana hai (reset se pehle ki state wapas laane ke liye).
+ *       Returns true, ya false agar snapshot invalid / doosre dabbawala ka
+ *       (tab state bilkul nahi badalta)
+ *   - save() / load()      => ASYNC, storage adapter se; Promise<boolean>
+ *       storage: { read(key) => string | null, write(key, text) } (sync ya async)
+ *       Disk pe JSON file ke liye createFileStorage(dir) (dekho 05-dabbawala-storage.js)
+ *       Storage nahi diya ya kuch nahi mila toh false
+ *
  * IMPORTANT: Private state (deliveries array, nextId counter) should NOT
  *   be accessible as properties on the returned object.
  *   Two instances created with createDabbawala should be completely independent.
@@ -38,6 +84,7 @@
  *
  * @param {string} name - Dabbawala's name
  * @param {string} area - Delivery area
+ * @param {object} [options] - { storage, storageKey, now } for events and persistence
  * @returns {object} Object with delivery management methods
  *
  * @example
@@ -48,37 +95,190 @@
  *   ram.getStats();
  *   // => { name: "Ram", area: "Dadar", total: 2, completed: 1, pending: 1, successRate: "50.00%" }
  */
-export function createDabbawala(name, area) {
-  let deliveries = [];
-  let nextId = 0;
+export const SNAPSHOT_VERSION = 1;
+
+export const DELIVERY_TRANSITIONS = {
+  pending: ['picked', 'cancelled'],
+  picked: ['in-transit', 'failed', 'cancelled'],
+  'in-transit': ['delivered', 'failed'],
+  delivered: ['returned'],
+  failed: ['pending'],
+  returned: [],
+  cancelled: [],
+  reassigned: [],
+};
+
+const ACTIVE_STATUSES = ['pending', 'picked', 'in-transit'];
+const NEEDS_REASON = ['failed', 'cancelled'];
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.length > 0;
+
+export function createDabbawala(name, area, { storage, storageKey = name, now = Date.now } = {}) {
+  let state = { deliveries: [], nextId: 0 };
+  let events = [];
+
+  const findIn = (target, id) => target.deliveries.find((d) => d.id === id);
+
+  const canTransition = (delivery, status, reason, station) => {
+    if (!delivery || !Object.prototype.hasOwnProperty.call(DELIVERY_TRANSITIONS, status)) {
+      return false;
+    }
+    if (!DELIVERY_TRANSITIONS[delivery.status].includes(status)) return false;
+    if (NEEDS_REASON.includes(status) && !isNonEmptyString(reason)) return false;
+    if (reason !== undefined && !isNonEmptyString(reason)) return false;
+    if (station !== undefined && (status !== 'in-transit' || !isNonEmptyString(station))) {
+      return false;
+    }
+    return true;
+  };
+
+  // Status change plus its history entry; optional fields are only kept when given.
+  const moveTo = (delivery, status, at, extra = {}) => {
+    delivery.status = status;
+    const entry = { status, at };
+    for (const [key, value] of Object.entries(extra)) if (value !== undefined) entry[key] = value;
+    delivery.history.push(entry);
+  };
+
+  const createRecord = (target, event, status, extra) => {
+    if (event.id !== target.nextId + 1) return false;
+    if (!isNonEmptyString(event.from) || !isNonEmptyString(event.to)) return false;
+    target.nextId = event.id;
+    const delivery = { id: event.id, from: event.from, to: event.to, status, history: [] };
+    moveTo(delivery, status, event.at, extra);
+    target.deliveries.push(delivery);
+    return true;
+  };
 
-  const isNonEmptyString = (value) => typeof value === 'string' && value.length > 0;
+  // Applies one event to a state; returns false if the event does not fit that state.
+  const applyEvent = (target, event) => {
+    if (event.type === 'added') return createRecord(target, event, 'pending');
+    if (event.type === 'completed') {
+      const delivery = findIn(target, event.id);
+      if (!delivery || !ACTIVE_STATUSES.includes(delivery.status)) return false;
+      moveTo(delivery, 'delivered', event.at);
+      return true;
+    }
+    if (event.type === 'transitioned') {
+      const delivery = findIn(target, event.id);
+      if (!canTransition(delivery, event.status, event.reason, event.station)) return false;
+      moveTo(delivery, event.status, event.at, { reason: event.reason, station: event.station });
+      return true;
+    }
+    if (event.type === 'reassigned-out') {
+      const delivery = findIn(target, event.id);
+      if (!delivery || !ACTIVE_STATUSES.includes(delivery.status)) return false;
+      moveTo(delivery, 'reassigned', event.at, { reason: event.reason, to: event.to });
+      return true;
+    }
+    if (event.type === 'reassigned-in') {
+      if (!ACTIVE_STATUSES.includes(event.status)) return false;
+      return createRecord(target, event, event.status, {
+        reason: event.reason,
+        fromDabbawala: event.fromDabbawala,
+        originalId: event.originalId,
+      });
+    }
+    if (event.type === 'reset') {
+      target.deliveries = [];
+      target.nextId = 0;
+      return true;
+    }
+    return false;
+  };
+
+  const record = (fields) => {
+    const event = { seq: events.length + 1, at: now(), ...fields };
+    applyEvent(state, event);
+    events.push(event);
+  };
+
+  const toSummary = ({ id, from, to, status }) => ({ id, from, to, status });
 
   const addDelivery = (from, to) => {
     if (!isNonEmptyString(from) || !isNonEmptyString(to)) return -1;
-    nextId += 1;
-    const delivery = { id: nextId, from, to, status: 'pending' };
-    deliveries.push(delivery);
-    return nextId;
+    record({ type: 'added', id: state.nextId + 1, from, to });
+    return state.nextId;
   };
 
   const completeDelivery = (id) => {
-    const delivery = deliveries.find((d) => d.id === id);
+    const delivery = findIn(state, id);
     if (!delivery) return false;
-    if (delivery.status !== 'pending') return false;
-    delivery.status = 'completed';
+    if (!ACTIVE_STATUSES.includes(delivery.status)) return false;
+    record({ type: 'completed', id });
     return true;
   };
 
+  const updateStatus = (id, status, { reason, station } = {}) => {
+    if (!canTransition(findIn(state, id), status, reason, station)) return false;
+    const event = { type: 'transitioned', id, status };
+    if (reason !== undefined) event.reason = reason;
+    if (station !== undefined) event.station = station;
+    record(event);
+    return true;
+  };
+
+  const getDelivery = (id) => {
+    const delivery = findIn(state, id);
+    if (!delivery) return null;
+    return { ...toSummary(delivery), history: delivery.history.map((entry) => ({ ...entry })) };
+  };
+
+  const acceptHandover = ({
+    from,
+    to,
+    status = 'pending',
+    fromDabbawala,
+    originalId,
+    reason,
+  } = {}) => {
+    if (!isNonEmptyString(from) || !isNonEmptyString(to)) return -1;
+    if (!ACTIVE_STATUSES.includes(status) || !isNonEmptyString(fromDabbawala)) return -1;
+    if (reason !== undefined && !isNonEmptyString(reason)) return -1;
+    const event = { type: 'reassigned-in', id: state.nextId + 1, from, to, status, fromDabbawala };
+    if (originalId !== undefined) event.originalId = originalId;
+    if (reason !== undefined) event.reason = reason;
+    record(event);
+    return state.nextId;
+  };
+
+  const reassignDelivery = (id, other, { reason } = {}) => {
+    const delivery = findIn(state, id);
+    if (!delivery || !ACTIVE_STATUSES.includes(delivery.status)) return -1;
+    if (!other || other === api || typeof other.acceptHandover !== 'function') return -1;
+    if (reason !== undefined && !isNonEmptyString(reason)) return -1;
+
+    const newId = other.acceptHandover({
+      from: delivery.from,
+      to: delivery.to,
+      status: delivery.status,
+      fromDabbawala: name,
+      originalId: id,
+      reason,
+    });
+    if (newId === -1) return -1;
+
+    const event = { type: 'reassigned-out', id, to: other.getStats().name, newId };
+    if (reason !== undefined) event.reason = reason;
+    record(event);
+    return newId;
+  };
+
   const getActiveDeliveries = () => {
-    return deliveries.filter((d) => d.status === 'pending').map((d) => ({ ...d }));
+    return state.deliveries.filter((d) => ACTIVE_STATUSES.includes(d.status)).map(toSummary);
   };
 
   const getStats = () => {
-    const total = deliveries.length;
-    const completed = deliveries.filter((d) => d.status === 'completed').length;
-    const pending = total - completed;
-    const successRate = total === 0 ? '0.00%' : `${((completed / total) * 100).toFixed(2)}%`;
+    const byStatus = {};
+    for (const status of Object.keys(DELIVERY_TRANSITIONS)) byStatus[status] = 0;
+    for (const delivery of state.deliveries) byStatus[delivery.status] += 1;
+
+    const total = state.deliveries.length;
+    const completed = byStatus.delivered + byStatus.returned;
+    const pending = byStatus.pending;
+    const attempted = total - byStatus.reassigned - byStatus.cancelled;
+    const successRate =
+      attempted === 0 ? '0.00%' : `${((completed / attempted) * 100).toFixed(2)}%`;
 
     return {
       name,
@@ -87,20 +287,71 @@ export function createDabbawala(name, area) {
       completed,
       pending,
       successRate,
+      byStatus,
     };
   };
 
   const reset = () => {
-    deliveries = [];
-    nextId = 0;
+    record({ type: 'reset' });
     return true;
   };
 
-  return {
+  const getEvents = () => events.map((event) => ({ ...event }));
+
+  const snapshot = () => ({ version: SNAPSHOT_VERSION, name, area, events: getEvents() });
+
+  const restore = (saved, { upTo } = {}) => {
+    if (!saved || saved.version !== SNAPSHOT_VERSION || !Array.isArray(saved.events)) return false;
+    if (saved.name !== name || saved.area !== area) return false;
+    if (upTo !== undefined && !Number.isInteger(upTo)) return false;
+
+    const replayed = [];
+    const rebuilt = { deliveries: [], nextId: 0 };
+    for (const event of saved.events) {
+      if (!event || typeof event !== 'object') return false;
+      if (event.seq !== replayed.length + 1 || !Number.isFinite(event.at)) return false;
+      if (upTo !== undefined && event.seq > upTo) break;
+      if (!applyEvent(rebuilt, event)) return false;
+      replayed.push({ ...event });
+    }
+
+    state = rebuilt;
+    events = replayed;
+    return true;
+  };
+
+  const save = async () => {
+    if (!storage) return false;
+    await storage.write(storageKey, JSON.stringify(snapshot(), null, 2));
+    return true;
+  };
+
+  const load = async () => {
+    if (!storage) return false;
+    const text = await storage.read(storageKey);
+    if (typeof text !== 'string') return false;
+    try {
+      return restore(JSON.parse(text));
+    } catch {
+      return false;
+    }
+  };
+
+  const api = {
     addDelivery,
     completeDelivery,
+    updateStatus,
+    getDelivery,
+    reassignDelivery,
+    acceptHandover,
     getActiveDeliveries,
     getStats,
     reset,
+    getEvents,
+    snapshot,
+    restore,
+    save,
+    load,
   };
+  return api;
 }
@@ -0,0 +1,105 @@
+import { createDosaCart, generateBill } from '../src/01-dosa-bill.js';
+import { createDosaMenu } from '../src/01-dosa-counter.js';
+
+describe('01 - Dosa Counter: Cart & Bill', () => {
+  describe('createDosaCart', () => {
+    test('adds dosa and extra lines with incrementing ids', () => {
+      const cart = createDosaCart();
+      expect(cart.addDosa('masala', 2, { spicy: true })).toBe(1);
+      expect(cart.addDosa('plain')).toBe(2);
+      expect(cart.addExtra('filter coffee', 25, 2)).toBe(3);
+      expect(cart.getLines()).toEqual([
+        {
+          id: 1,
+          kind: 'dosa',
+          name: 'masala',
+          quantity: 2,
+          unitPrice: 70,
+          modifiers: ['spicy'],
+        },
+        { id: 2, kind: 'dosa', name: 'plain', quantity: 1, unitPrice: 40, modifiers: [] },
+        { id: 3, kind: 'extra', name: 'filter coffee', quantity: 2, unitPrice: 25 },
+      ]);
+    });
+
+    test('invalid lines return -1', () => {
+      const cart = createDosaCart();
+      expect(cart.addDosa('paneer')).toBe(-1);
+      expect(cart.addDosa('plain', 0)).toBe(-1);
+      expect(cart.addExtra('', 25)).toBe(-1);
+      expect(cart.addExtra('vada', -5)).toBe(-1);
+      expect(cart.getLines()).toEqual([]);
+    });
+
+    test('removeLine and clear', () => {
+      const cart = createDosaCart();
+      cart.addDosa('plain');
+      cart.addDosa('onion');
+      expect(cart.removeLine(1)).toBe(true);
+      expect(cart.removeLine(1)).toBe(false);
+      expect(cart.getLines().map((l) => l.name)).toEqual(['onion']);
+      expect(cart.clear()).toBe(true);
+      expect(cart.getLines()).toEqual([]);
+      expect(cart.addDosa('plain')).toBe(1);
+    });
+
+    test('uses the given menu for prices', () => {
+      const cart = createDosaCart(createDosaMenu({ items: { rava: 75 } }));
+      expect(cart.addDosa('plain')).toBe(-1);
+      cart.addDosa('rava', 2);
+      expect(cart.getBill().subtotal).toBe(150);
+    });
+
+    test('getLines returns copies', () => {
+      const cart = createDosaCart();
+      cart.addDosa('plain');
+      cart.getLines()[0].quantity = 100;
+      expect(cart.getLines()[0].quantity).toBe(1);
+    });
+  });
+
+  describe('generateBill', () => {
+    test('takeaway bill with packaging, split GST and round-off', () => {
+      const cart = createDosaCart();
+      cart.addDosa('masala', 2, { spicy: true });
+      cart.addExtra('filter coffee', 25, 2);
+      const bill = cart.getBill({ orderType: 'takeaway' });
+      expect(bill).toMatchObject({
+        orderType: 'takeaway',
+        itemCount: 4,
+        subtotal: 190,
+        packaging: 20,
+        taxableAmount: 210,
+        taxes: [
+          { name: 'CGST', rate: 0.025, amount: 5.25 },
+          { name: 'SGST', rate: 0.025, amount: 5.25 },
+        ],
+        totalTax: 10.5,
+        roundOff: 0.5,
+        grandTotal: 221,
+      });
+      expect(bill.lines.map((l) => l.amount)).toEqual([140, 50]);
+    });
+
+    test('dine-in bill has no packaging and can round down', () => {
+      const bill = generateBill([{ name: 'plain', quantity: 1, unitPrice: 42 }], {
+        gstRate: 0.05,
+        splitGst: false,
+      });
+      expect(bill.packaging).toBe(0);
+      expect(bill.taxes).toEqual([{ name: 'GST', rate: 0.05, amount: 2.1 }]);
+      expect(bill.roundOff).toBe(-0.1);
+      expect(bill.grandTotal).toBe(44);
+    });
+
+    test('invalid input returns null', () => {
+      const lines = [{ name: 'plain', quantity: 1, unitPrice: 40 }];
+      expect(generateBill([])).toBeNull();
+      expect(generateBill(null)).toBeNull();
+      expect(generateBill([{ name: 'plain', quantity: 0, unitPrice: 40 }])).toBeNull();
+      expect(generateBill(lines, { gstRate: -0.05 })).toBeNull();
+      expect(generateBill(lines, { orderType: 'delivery' })).toBeNull();
+      expect(createDosaCart().getBill()).toBeNull();
+    });
+  });
+});
@@ -1,4 +1,4 @@
-import { calculateDosaOrder } from '../src/01-dosa-counter.js';
+import { calculateDosaOrder, createDosaMenu } from '../src/01-dosa-counter.js';
 
 describe('01 - Dosa Counter: Order Calculator (7 pts)', () => {
   describe('Basic orders with correct prices', () => {
@@ -136,3 +136,122 @@ describe('01 - Dosa Counter: Order Calculator (7 pts)', () => {
     });
   });
 });
+
+describe('01 - Dosa Counter: Menu Registry', () => {
+  test('default menu matches the standard price list', () => {
+    const menu = createDosaMenu();
+    expect(menu.listItems()).toEqual([
+      { type: 'plain', price: 40 },
+      { type: 'masala', price: 60 },
+      { type: 'onion', price: 50 },
+      { type: 'butter', price: 70 },
+      { type: 'paper', price: 90 },
+      { type: 'cheese', price: 80 },
+    ]);
+  });
+
+  test('calculateOrder applies enabled surcharges per dosa', () => {
+    const menu = createDosaMenu({ items: { rava: 75 }, surcharges: { spicy: 10, ghee: 15 } });
+    expect(menu.calculateOrder('rava', 2, { spicy: true, ghee: true })).toEqual({
+      type: 'rava',
+      quantity: 2,
+      pricePerDosa: 100,
+      total: 200,
+      modifiers: [
+        { name: 'spicy', price: 10, total: 20 },
+        { name: 'ghee', price: 15, total: 30 },
+      ],
+    });
+    expect(menu.calculateOrder('rava')).toEqual({
+      type: 'rava',
+      quantity: 1,
+      pricePerDosa: 75,
+      total: 75,
+      modifiers: [],
+    });
+  });
+
+  test('add, update and remove items', () => {
+    const menu = createDosaMenu({ items: { plain: 40 } });
+    expect(menu.addItem('rava', 75)).toBe(true);
+    expect(menu.addItem('rava', 80)).toBe(false);
+    expect(menu.updateItem('plain', 45)).toBe(true);
+    expect(menu.updateItem('paneer', 100)).toBe(false);
+    expect(menu.getPrice('plain')).toBe(45);
+    expect(menu.removeItem('rava')).toBe(true);
+    expect(menu.removeItem('rava')).toBe(false);
+    expect(menu.calculateOrder('rava')).toBeNull();
+  });
+
+  test('invalid prices are rejected', () => {
+    const menu = createDosaMenu();
+    expect(menu.addItem('rava', 0)).toBe(false);
+    expect(menu.addItem('rava', -5)).toBe(false);
+    expect(menu.addItem('rava', NaN)).toBe(false);
+    expect(menu.updateItem('plain', '50')).toBe(false);
+    expect(createDosaMenu({ items: { plain: -1 } })).toBeNull();
+    expect(createDosaMenu({ surcharges: { spicy: -10 } })).toBeNull();
+    expect(createDosaMenu({ items: [] })).toBeNull();
+  });
+
+  test('menus are independent of each other and of calculateDosaOrder', () => {
+    const menu = createDosaMenu();
+    menu.updateItem('plain', 99);
+    expect(createDosaMenu().getPrice('plain')).toBe(40);
+    expect(calculateDosaOrder('plain').total).toBe(40);
+  });
+});
+
+describe('01 - Dosa Counter: Customisation Modifiers', () => {
+  test('options object lists each applied modifier and its cost', () => {
+    expect(calculateDosaOrder('masala', 2, { spicy: true, extraButter: true, gheeRoast: true })).toEqual({
+      type: 'masala',
+      quantity: 2,
+      pricePerDosa: 110,
+      total: 220,
+      modifiers: [
+        { name: 'spicy', price: 10, total: 20 },
+        { name: 'extraButter', price: 15, total: 30 },
+        { name: 'gheeRoast', price: 25, total: 50 },
+      ],
+    });
+  });
+
+  test('legacy boolean third argument keeps the old shape', () => {
+    expect(calculateDosaOrder('masala', 1, true)).toEqual({
+      type: 'masala',
+      quantity: 1,
+      pricePerDosa: 70,
+      total: 70,
+    });
+  });
+
+  test('negative and zero deltas are supported', () => {
+    const half = calculateDosaOrder('plain', 1, { half: true, noOnion: false });
+    expect(half.pricePerDosa).toBe(20);
+    expect(calculateDosaOrder('masala', 1, { noOnion: true }).modifiers).toEqual([
+      { name: 'noOnion', price: 0, total: 0 },
+    ]);
+  });
+
+  test('modifiers outside their allow-list or unknown return null', () => {
+    expect(calculateDosaOrder('paper', 1, { extraCheese: true })).toBeNull();
+    expect(calculateDosaOrder('butter', 1, { gheeRoast: true })).toBeNull();
+    expect(calculateDosaOrder('plain', 1, { truffle: true })).toBeNull();
+  });
+
+  test('custom catalogue and price floor', () => {
+    const menu = createDosaMenu({
+      items: { plain: 40 },
+      modifiers: { mini: { price: -40 }, podi: { price: 12, types: ['plain'] } },
+    });
+    expect(menu.calculateOrder('plain', 1, { mini: true })).toBeNull();
+    expect(menu.calculateOrder('plain', 1, { podi: true }).pricePerDosa).toBe(52);
+    expect(menu.listModifiers()).toEqual([
+      { name: 'mini', price: -40, types: null },
+      { name: 'podi', price: 12, types: ['plain'] },
+      { name: 'spicy', price: 10, types: null },
+    ]);
+    expect(createDosaMenu({ modifiers: { podi: { price: '12' } } })).toBeNull();
+  });
+});
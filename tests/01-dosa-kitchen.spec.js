@@ -0,0 +1,85 @@
+import { createKitchenQueue } from '../src/01-dosa-kitchen.js';
+import { calculateDosaOrder } from '../src/01-dosa-counter.js';
+
+describe('01 - Dosa Counter: Kitchen Order Ticket Queue', () => {
+  let kitchen;
+
+  beforeEach(() => {
+    kitchen = createKitchenQueue({ stations: { paper: 'big-tawa' } });
+  });
+
+  test('assigns incrementing tokens to priced orders', () => {
+    expect(kitchen.addTicket(calculateDosaOrder('plain'))).toBe(1);
+    expect(kitchen.addTicket([calculateDosaOrder('masala', 2, true)])).toBe(2);
+  });
+
+  test('rejects empty or invalid orders with -1', () => {
+    expect(kitchen.addTicket([])).toBe(-1);
+    expect(kitchen.addTicket(null)).toBe(-1);
+    expect(kitchen.addTicket({ type: 'rava', quantity: 1 })).toBe(-1);
+    expect(kitchen.addTicket({ type: 'plain', quantity: 0 })).toBe(-1);
+  });
+
+  test('lines move queued -> cooking -> ready -> served', () => {
+    const token = kitchen.addTicket(calculateDosaOrder('plain'));
+    expect(kitchen.getTicket(token).lines[0].status).toBe('queued');
+    expect(kitchen.advance(token, 1)).toBe('cooking');
+    expect(kitchen.advance(token, 1)).toBe('ready');
+    expect(kitchen.advance(token, 1)).toBe('served');
+    expect(kitchen.advance(token, 1)).toBeNull();
+    expect(kitchen.advance(token, 2)).toBeNull();
+    expect(kitchen.advance(99, 1)).toBeNull();
+  });
+
+  test('advanceTicket moves every line one step', () => {
+    const token = kitchen.addTicket([calculateDosaOrder('plain'), calculateDosaOrder('onion')]);
+    kitchen.advance(token, 1);
+    expect(kitchen.advanceTicket(token)).toEqual(['ready', 'cooking']);
+  });
+
+  test('estimates wait from cook times per station', () => {
+    const first = kitchen.addTicket([calculateDosaOrder('masala', 2), calculateDosaOrder('paper')]);
+    const second = kitchen.addTicket(calculateDosaOrder('plain'));
+    expect(kitchen.estimateWait(first)).toBe(12);
+    expect(kitchen.estimateWait(second)).toBe(16);
+    kitchen.advanceTicket(first);
+    kitchen.advanceTicket(first);
+    expect(kitchen.estimateWait(first)).toBe(0);
+    expect(kitchen.estimateWait(second)).toBe(4);
+    expect(kitchen.estimateWait(42)).toBeNull();
+  });
+
+  test('reports queue and per-station load', () => {
+    const token = kitchen.addTicket([calculateDosaOrder('masala', 2), calculateDosaOrder('paper')]);
+    expect(kitchen.getStationLoad()).toEqual({
+      tawa: { lines: 1, dosas: 2, minutes: 12 },
+      'big-tawa': { lines: 1, dosas: 1, minutes: 8 },
+    });
+    kitchen.advance(token, 2);
+    kitchen.advance(token, 2);
+    kitchen.advance(token, 2);
+    expect(kitchen.getQueue().map((l) => [l.token, l.lineNo, l.status])).toEqual([
+      [1, 1, 'queued'],
+    ]);
+    expect(kitchen.getStationLoad()).toEqual({ tawa: { lines: 1, dosas: 2, minutes: 12 } });
+  });
+
+  test('emits status changes and supports unsubscribe', () => {
+    const events = [];
+    const unsubscribe = kitchen.onStatusChange((e) => events.push(e));
+    const token = kitchen.addTicket(calculateDosaOrder('plain'));
+    kitchen.advance(token, 1);
+    expect(events).toEqual([
+      { token: 1, lineNo: 1, type: 'plain', from: null, to: 'queued' },
+      { token: 1, lineNo: 1, type: 'plain', from: 'queued', to: 'cooking' },
+    ]);
+    expect(unsubscribe()).toBe(true);
+    kitchen.advance(token, 1);
+    expect(events).toHaveLength(2);
+  });
+
+  test('invalid configuration returns null', () => {
+    expect(createKitchenQueue({ cookTimes: { plain: 0 } })).toBeNull();
+    expect(createKitchenQueue({ stations: [] })).toBeNull();
+  });
+});
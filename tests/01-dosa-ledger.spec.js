@@ -0,0 +1,119 @@
+import { createSalesLedger, reportToCSV, reportToJSON } from '../src/01-dosa-ledger.js';
+import { calculateDosaOrder } from '../src/01-dosa-counter.js';
+
+describe('01 - Dosa Counter: Sales Ledger & Z-Report', () => {
+  let ledger;
+
+  beforeEach(() => {
+    ledger = createSalesLedger();
+    // 09:15 and 09:40 IST on 19 Oct, 13:05 IST on 19 Oct, 08:00 IST on 20 Oct
+    ledger.recordSale(calculateDosaOrder('masala', 2, { spicy: true }), {
+      paymentMode: 'upi',
+      timestamp: '2026-10-19T03:45:00Z',
+    });
+    ledger.recordSale(calculateDosaOrder('plain', 1), {
+      paymentMode: 'cash',
+      timestamp: '2026-10-19T04:10:00Z',
+      isSpicy: false,
+    });
+    ledger.recordSale(calculateDosaOrder('masala', 1, true), {
+      paymentMode: 'card',
+      timestamp: '2026-10-19T07:35:00Z',
+      isSpicy: true,
+    });
+    ledger.recordSale(calculateDosaOrder('paper', 1, {}), {
+      timestamp: '2026-10-20T02:30:00Z',
+    });
+  });
+
+  test('recordSale returns incrementing ids and rejects invalid input', () => {
+    expect(ledger.recordSale(calculateDosaOrder('plain', 1, {}))).toBe(5);
+    expect(ledger.recordSale(null)).toBe(-1);
+    expect(ledger.recordSale(calculateDosaOrder('plain', 1, {}), { paymentMode: 'cheque' })).toBe(-1);
+    expect(ledger.recordSale(calculateDosaOrder('plain', 1, {}), { timestamp: 'not a date' })).toBe(-1);
+  });
+
+  test('a legacy order must say whether it was spicy', () => {
+    const spicyLegacy = calculateDosaOrder('masala', 2, true);
+    expect(ledger.recordSale(spicyLegacy)).toBe(-1);
+    expect(ledger.recordSale(spicyLegacy, { isSpicy: 'yes' })).toBe(-1);
+    expect(ledger.getEntries()).toHaveLength(4);
+
+    const id = ledger.recordSale(spicyLegacy, { isSpicy: true });
+    expect(ledger.getEntries().find((entry) => entry.id === id).spicy).toBe(true);
+    // modifiers decide for new-style orders; isSpicy is not needed there
+    const modern = ledger.recordSale(calculateDosaOrder('masala', 2, { spicy: true }));
+    expect(ledger.getEntries().find((entry) => entry.id === modern).spicy).toBe(true);
+  });
+
+  test('getEntries filters by business date', () => {
+    expect(ledger.getEntries()).toHaveLength(4);
+    expect(ledger.getEntries('2026-10-19').map((e) => e.id)).toEqual([1, 2, 3]);
+  });
+
+  test('Z-report aggregates one business day', () => {
+    const report = ledger.generateReport('2026-10-19');
+    expect(report).toMatchObject({
+      date: '2026-10-19',
+      orders: 3,
+      dosas: 4,
+      grossSales: 250,
+      averageTicket: 83.33,
+      byType: {
+        masala: { orders: 2, quantity: 3, sales: 210 },
+        plain: { orders: 1, quantity: 1, sales: 40 },
+      },
+      spicySplit: {
+        spicy: { orders: 2, quantity: 3, sales: 210 },
+        nonSpicy: { orders: 1, quantity: 1, sales: 40 },
+      },
+      paymentModes: {
+        cash: { orders: 1, quantity: 1, sales: 40 },
+        upi: { orders: 1, quantity: 2, sales: 140 },
+        card: { orders: 1, quantity: 1, sales: 70 },
+      },
+    });
+    expect(report.hourly).toHaveLength(24);
+    expect(report.hourly[9]).toEqual({ hour: 9, orders: 2, sales: 180 });
+    expect(report.hourly[13]).toEqual({ hour: 13, orders: 1, sales: 70 });
+  });
+
+  test('report defaults to the current business day, never to all days', () => {
+    // 23:30 IST on 19 Oct, then 00:30 IST on 20 Oct
+    let clock = Date.parse('2026-10-19T18:00:00Z');
+    const shop = createSalesLedger({ now: () => clock });
+    shop.recordSale(calculateDosaOrder('plain', 1), { isSpicy: false });
+    clock = Date.parse('2026-10-19T19:00:00Z');
+    shop.recordSale(calculateDosaOrder('masala', 1), { isSpicy: false });
+
+    const report = shop.generateReport();
+    expect(report.date).toBe('2026-10-20');
+    expect(report.orders).toBe(1);
+    expect(report.hourly[0]).toEqual({ hour: 0, orders: 1, sales: 60 });
+    expect(shop.generateReport('2026-10-19').orders).toBe(1);
+    expect(createSalesLedger({ now: 'today' })).toBeNull();
+  });
+
+  test('report for a day with no sales is null', () => {
+    expect(ledger.generateReport('2026-10-21')).toBeNull();
+  });
+
+  test('exports CSV and JSON', () => {
+    const report = ledger.generateReport('2026-10-20');
+    expect(reportToCSV(report).split('\n')).toEqual([
+      'section,key,orders,quantity,sales',
+      'summary,total,1,1,90',
+      'summary,averageTicket,,,90',
+      'type,paper,1,1,90',
+      'spice,spicy,0,0,0',
+      'spice,nonSpicy,1,1,90',
+      'hour,08,1,,90',
+      'payment,cash,1,1,90',
+      'payment,upi,0,0,0',
+      'payment,card,0,0,0',
+    ]);
+    expect(JSON.parse(reportToJSON(report))).toEqual(report);
+    expect(reportToCSV(null)).toBeNull();
+    expect(reportToJSON({})).toBeNull();
+  });
+});
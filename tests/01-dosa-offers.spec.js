@@ -0,0 +1,170 @@
+import { applyPromotions, isValidPromotion } from '../src/01-dosa-offers.js';
+import { calculateDosaOrder } from '../src/01-dosa-counter.js';
+
+describe('01 - Dosa Counter: Combo & Coupon Engine', () => {
+  const combo = {
+    id: 'MASALA-COMBO',
+    type: 'combo',
+    items: { masala: 2, 'filter coffee': 1 },
+    price: 150,
+  };
+  const tenOff = { id: 'TEN-OFF', type: 'percent', percent: 10, minSubtotal: 500 };
+  const paperDeal = {
+    id: 'PAPER-3-PLAIN-1',
+    type: 'bxgy',
+    buy: { item: 'paper', quantity: 3 },
+    get: { item: 'plain', quantity: 1 },
+  };
+
+  test('applies a combo and reports its saving', () => {
+    const result = applyPromotions(
+      [
+        { name: 'masala', quantity: 2, unitPrice: 80 },
+        { name: 'filter coffee', quantity: 1, unitPrice: 30 },
+      ],
+      [combo]
+    );
+    expect(result).toEqual({
+      subtotal: 190,
+      totalSavings: 40,
+      payable: 150,
+      applied: [{ id: 'MASALA-COMBO', type: 'combo', times: 1, savings: 40 }],
+    });
+  });
+
+  test('buy 3 paper get 1 plain free, applied as many times as units allow', () => {
+    const result = applyPromotions(
+      [
+        { name: 'paper', quantity: 7, unitPrice: 90 },
+        { name: 'plain', quantity: 3, unitPrice: 40 },
+      ],
+      [paperDeal]
+    );
+    expect(result.applied).toEqual([
+      { id: 'PAPER-3-PLAIN-1', type: 'bxgy', times: 2, savings: 80 },
+    ]);
+    expect(result.payable).toBe(670);
+  });
+
+  test('percent coupon needs the threshold after item discounts', () => {
+    const lines = [
+      { name: 'paper', quantity: 6, unitPrice: 90 },
+      { name: 'plain', quantity: 1, unitPrice: 40 },
+    ];
+    const result = applyPromotions(lines, [paperDeal, tenOff]);
+    expect(result.subtotal).toBe(580);
+    // bxgy saves 40 and leaves 540, so 10% (54) stacks on top
+    expect(result.totalSavings).toBe(94);
+    expect(result.applied.map((a) => a.id)).toEqual(['PAPER-3-PLAIN-1', 'TEN-OFF']);
+  });
+
+  test('applies an offer fewer times when that keeps a better coupon', () => {
+    const lines = [
+      { name: 'paper', quantity: 6, unitPrice: 90 },
+      { name: 'plain', quantity: 2, unitPrice: 40 },
+    ];
+    const result = applyPromotions(lines, [paperDeal, { ...tenOff, minSubtotal: 560 }]);
+    // twice would leave 540 (no coupon, 80 off); once leaves 580 and 10% stacks: 40 + 58
+    expect(result.totalSavings).toBe(98);
+    expect(result.applied).toEqual([
+      { id: 'PAPER-3-PLAIN-1', type: 'bxgy', times: 1, savings: 40 },
+      { id: 'TEN-OFF', type: 'percent', times: 1, savings: 58 },
+    ]);
+  });
+
+  test('catering-size carts are solved quickly', () => {
+    const lines = ['masala', 'plain', 'paper', 'filter coffee'].map((name, idx) => ({
+      name,
+      quantity: 120,
+      unitPrice: 40 + 20 * idx,
+    }));
+    const rules = [
+      combo,
+      { id: 'PLAIN-PAPER', type: 'combo', items: { plain: 1, paper: 1 }, price: 110 },
+      { ...paperDeal, id: 'PAPER-PLAIN' },
+      { id: 'MASALA-COFFEE', type: 'combo', items: { masala: 1, 'filter coffee': 1 }, price: 90 },
+      {
+        id: 'MASALA-COFFEE-FREE',
+        type: 'bxgy',
+        buy: { item: 'masala', quantity: 2 },
+        get: { item: 'filter coffee', quantity: 1 },
+      },
+      tenOff,
+    ];
+    const started = Date.now();
+    const result = applyPromotions(lines, rules);
+    expect(Date.now() - started).toBeLessThan(2000);
+    expect(result.subtotal).toBe(33600);
+    expect(result.totalSavings).toBe(12000);
+  }, 5000);
+
+  test('a full-menu catering order with pairwise combos stays bounded', () => {
+    const menu = { plain: 40, masala: 60, onion: 50, butter: 70, paper: 90, cheese: 80 };
+    const names = Object.keys(menu);
+    const lines = names.map((name) => ({ name, quantity: 60, unitPrice: menu[name] }));
+    const combos = names.flatMap((a, idx) =>
+      names.slice(idx + 1).map((b) => ({
+        id: `${a}-${b}`,
+        type: 'combo',
+        items: { [a]: 2, [b]: 1 },
+        price: 2 * menu[a] + menu[b] - 15,
+      }))
+    );
+    const started = Date.now();
+    const result = applyPromotions(lines, [...combos, tenOff]);
+    expect(Date.now() - started).toBeLessThan(2000);
+
+    const used = {};
+    for (const { id, times } of result.applied.filter((entry) => entry.type === 'combo')) {
+      const { items } = combos.find((promo) => promo.id === id);
+      for (const [item, qty] of Object.entries(items)) used[item] = (used[item] ?? 0) + qty * times;
+    }
+    expect(Object.values(used).every((qty) => qty <= 60)).toBe(true);
+    expect(result.subtotal).toBe(23400);
+    expect(result.applied.at(-1).id).toBe('TEN-OFF');
+    expect(result.totalSavings).toBeGreaterThan(3600);
+    expect(result.payable).toBe(result.subtotal - result.totalSavings);
+  }, 5000);
+
+  test('picks the better of two rules competing for the same units', () => {
+    const cheapCombo = { ...combo, id: 'CHEAP', price: 120 };
+    const result = applyPromotions(
+      [
+        { name: 'masala', quantity: 2, unitPrice: 60 },
+        { name: 'filter coffee', quantity: 1, unitPrice: 30 },
+      ],
+      [combo, cheapCombo]
+    );
+    expect(result.applied).toEqual([{ id: 'CHEAP', type: 'combo', times: 1, savings: 30 }]);
+  });
+
+  test('only one order-level coupon is used', () => {
+    const flat = { id: 'FLAT-75', type: 'flat', amount: 75 };
+    const result = applyPromotions([{ name: 'paper', quantity: 10, unitPrice: 90 }], [tenOff, flat]);
+    expect(result.applied).toEqual([{ id: 'TEN-OFF', type: 'percent', times: 1, savings: 90 }]);
+  });
+
+  test('accepts calculateDosaOrder results as cart lines', () => {
+    const result = applyPromotions(
+      [calculateDosaOrder('paper', 3), calculateDosaOrder('plain', 1)],
+      [paperDeal]
+    );
+    expect(result.totalSavings).toBe(40);
+  });
+
+  test('no applicable rule means no savings', () => {
+    const result = applyPromotions([{ name: 'plain', quantity: 1, unitPrice: 40 }], [combo, tenOff]);
+    expect(result).toEqual({ subtotal: 40, totalSavings: 0, payable: 40, applied: [] });
+  });
+
+  test('rules survive a JSON round trip', () => {
+    const rules = JSON.parse(JSON.stringify([combo, tenOff, paperDeal]));
+    expect(rules.every(isValidPromotion)).toBe(true);
+  });
+
+  test('invalid input returns null', () => {
+    expect(applyPromotions([], [combo])).toBeNull();
+    expect(applyPromotions([{ name: 'plain', quantity: 1, unitPrice: 40 }], [{ type: 'combo' }])).toBeNull();
+    expect(isValidPromotion({ id: 'X', type: 'percent', percent: 150 })).toBe(false);
+  });
+});
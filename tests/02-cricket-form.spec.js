@@ -0,0 +1,81 @@
+import {
+  rollingStrikeRate,
+  rollingAverage,
+  rollingEconomy,
+  calcFormScore,
+  getTrend,
+  buildFormSection,
+} from '../src/02-cricket-form.js';
+import { getPlayerCard, calcEconomy, parseOvers } from '../src/02-cricket-stats.js';
+import * as rates from '../src/02-cricket-rates.js';
+
+const innings = [
+  { runs: 10, balls: 20, isOut: true, runsConceded: 40, overs: 4 },
+  { runs: 30, balls: 20, isOut: true, runsConceded: 30, overs: 4 },
+  { runs: 50, balls: 30, isOut: false },
+  { runs: 70, balls: 40, isOut: true, runsConceded: 20, ballsBowled: 24 },
+];
+
+describe('02 - Cricket Stats: Rolling Form', () => {
+  test('rolling strike rate over the last N innings', () => {
+    expect(rollingStrikeRate(innings, 2)).toEqual([50, 100, 160, 171.43]);
+  });
+
+  test('rolling average respects not-outs', () => {
+    expect(rollingAverage(innings, 2)).toEqual([10, 20, 80, 120]);
+  });
+
+  test('rolling economy skips innings without bowling', () => {
+    expect(rollingEconomy(innings, 2)).toEqual([10, 8.75, 7.5, 5]);
+  });
+
+  test('invalid input returns null', () => {
+    expect(rollingStrikeRate(null)).toBeNull();
+    expect(rollingAverage(innings, 0)).toBeNull();
+    expect(rollingEconomy([null])).toBeNull();
+  });
+
+  test('exponentially weighted form score favours recent innings', () => {
+    expect(calcFormScore([10, 30, 50, 70], 0.5)).toBe(52.5);
+    expect(calcFormScore([70, 50, 30, 10], 0.5)).toBe(27.5);
+    expect(calcFormScore([])).toBe(0);
+  });
+
+  test('trend direction', () => {
+    expect(getTrend([10, 30, 50, 70])).toBe('improving');
+    expect(getTrend([70, 50, 30, 10])).toBe('declining');
+    expect(getTrend([40, 41, 39, 40])).toBe('stable');
+    expect(getTrend([10, 8, 6], { higherIsBetter: false })).toBe('improving');
+    expect(getTrend([5])).toBe('stable');
+  });
+
+  test('buildFormSection summarises the latest window', () => {
+    expect(buildFormSection(innings, { window: 3 })).toEqual({
+      matches: 4,
+      window: 3,
+      strikeRate: 166.67,
+      average: 75,
+      economy: 6.25,
+      battingForm: 39.34,
+      bowlingForm: 7.97,
+      battingTrend: 'improving',
+      bowlingTrend: 'improving',
+    });
+  });
+
+  test('getPlayerCard can include a form section', () => {
+    const player = { name: 'Gill', runs: 160, balls: 110, totalRuns: 160, innings: 4, notOuts: 1 };
+    expect(getPlayerCard(player)).not.toHaveProperty('form');
+    expect(getPlayerCard(player, { includeForm: true }).form).toBeNull();
+    const card = getPlayerCard(
+      { ...player, recentInnings: innings },
+      { includeForm: true, formOptions: { window: 2 } }
+    );
+    expect(card.form).toMatchObject({ window: 2, strikeRate: 171.43, battingTrend: 'improving' });
+  });
+
+  test('stats re-exports the rate helpers form builds on', () => {
+    expect(calcEconomy).toBe(rates.calcEconomy);
+    expect(parseOvers).toBe(rates.parseOvers);
+  });
+});
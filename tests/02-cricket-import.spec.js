@@ -0,0 +1,223 @@
+import { mkdtemp, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { aggregateCricsheetMatches, importCricsheetFiles } from '../src/02-cricket-import.js';
+import { getPlayerCard } from '../src/02-cricket-stats.js';
+
+const delivery = (batter, nonStriker, bowler, batRuns = 0, more = {}) => {
+  const extrasTotal = Object.values(more.extras ?? {}).reduce((a, b) => a + b, 0);
+  return {
+    batter,
+    non_striker: nonStriker,
+    bowler,
+    runs: { batter: batRuns, extras: extrasTotal, total: batRuns + extrasTotal },
+    ...more,
+  };
+};
+
+const match = {
+  info: { teams: ['India', 'Australia'], match_type: 'T20' },
+  innings: [
+    {
+      team: 'India',
+      overs: [
+        {
+          over: 0,
+          deliveries: [
+            delivery('Rohit', 'Gill', 'Starc', 4),
+            delivery('Rohit', 'Gill', 'Starc', 0, { extras: { wides: 1 } }),
+            delivery('Rohit', 'Gill', 'Starc', 1),
+            delivery('Gill', 'Rohit', 'Starc', 0, { extras: { legbyes: 2 } }),
+            delivery('Gill', 'Rohit', 'Starc', 0, {
+              wickets: [{ kind: 'bowled', player_out: 'Gill' }],
+            }),
+            delivery('Kohli', 'Rohit', 'Starc', 6, { extras: { noballs: 1 } }),
+          ],
+        },
+      ],
+    },
+  ],
+};
+
+describe('02 - Cricket Stats: Cricsheet Import', () => {
+  test('derives getPlayerCard input from deliveries', () => {
+    const { players, errors } = aggregateCricsheetMatches([{ source: 'm1.json', data: match }]);
+    expect(errors).toEqual([]);
+    const byName = Object.fromEntries(players.map((p) => [p.name, p]));
+    expect(byName.Rohit).toEqual({
+      name: 'Rohit',
+      runs: 5,
+      balls: 2,
+      totalRuns: 5,
+      innings: 1,
+      notOuts: 1,
+      runsConceded: 0,
+      ballsBowled: 0,
+      overs: '0.0',
+    });
+    expect(byName.Gill).toMatchObject({ runs: 0, balls: 2, innings: 1, notOuts: 0 });
+    expect(byName.Kohli).toMatchObject({ runs: 6, balls: 1, innings: 1, notOuts: 1 });
+    expect(byName.Starc).toMatchObject({ runsConceded: 13, ballsBowled: 4, overs: '0.4', innings: 0 });
+    expect(getPlayerCard(byName.Starc).economy).toBe(19.5);
+  });
+
+  test('sums across many matches', () => {
+    const { players } = aggregateCricsheetMatches([
+      { source: 'm1', data: match },
+      { source: 'm2', data: match },
+    ]);
+    const rohit = players.find((p) => p.name === 'Rohit');
+    expect(rohit).toMatchObject({ runs: 10, balls: 4, innings: 2, notOuts: 2 });
+  });
+
+  test('malformed deliveries are reported with match and ball reference', () => {
+    const bad = {
+      innings: [
+        {
+          overs: [
+            {
+              over: 3,
+              deliveries: [
+                delivery('Rohit', 'Gill', 'Starc', 1),
+                { batter: 'Rohit', non_striker: 'Gill', bowler: 'Starc', runs: { batter: 1, extras: 0, total: 4 } },
+                delivery('Rohit', 'Gill', '', 0),
+                delivery('Rohit', 'Gill', 'Starc', 0, { wickets: [{ kind: 'caught', player_out: 'Kohli' }] }),
+              ],
+            },
+          ],
+        },
+      ],
+    };
+    const { players, errors } = aggregateCricsheetMatches([{ source: 'bad.json', data: bad }]);
+    expect(errors).toEqual([
+      { match: 'bad.json', innings: 1, ball: '3.2', reason: 'runs.total does not match batter + extras' },
+      { match: 'bad.json', innings: 1, ball: '3.3', reason: 'missing bowler' },
+      { match: 'bad.json', innings: 1, ball: '3.4', reason: 'player_out Kohli is not at the crease' },
+    ]);
+    expect(players.find((p) => p.name === 'Rohit').runs).toBe(1);
+  });
+
+  test('innings without overs and overs without deliveries are reported, not skipped', () => {
+    const data = {
+      innings: [
+        { team: 'India', overs: 'oops' },
+        { team: 'Australia', overs: [{ over: 0 }, { over: 1, deliveries: [delivery('Head', 'Warner', 'Bumrah', 2)] }] },
+        { team: 'India' },
+      ],
+    };
+    const { players, errors } = aggregateCricsheetMatches([{ source: 'm3.json', data }]);
+    expect(errors).toEqual([
+      { match: 'm3.json', innings: 1, ball: null, reason: 'innings has no overs array' },
+      { match: 'm3.json', innings: 2, ball: '0', reason: 'over has no deliveries array' },
+      { match: 'm3.json', innings: 3, ball: null, reason: 'innings has no overs array' },
+    ]);
+    expect(players.find((p) => p.name === 'Head').runs).toBe(2);
+  });
+
+  test('legacy Cricsheet YAML innings are converted', () => {
+    const legacy = (batsman, nonStriker, bowler, batRuns, more = {}) => {
+      const extrasTotal = Object.values(more.extras ?? {}).reduce((a, b) => a + b, 0);
+      return {
+        batsman,
+        non_striker: nonStriker,
+        bowler,
+        runs: { batsman: batRuns, extras: extrasTotal, total: batRuns + extrasTotal },
+        ...more,
+      };
+    };
+    const data = {
+      innings: [
+        {
+          '1st innings': {
+            team: 'India',
+            deliveries: [
+              { 0.1: legacy('Rohit', 'Gill', 'Starc', 4) },
+              { 0.2: legacy('Rohit', 'Gill', 'Starc', 0, { extras: { wides: 1 } }) },
+              { 0.3: legacy('Rohit', 'Gill', 'Starc', 1) },
+              { 1.1: legacy('Gill', 'Rohit', 'Cummins', 0, { wicket: { kind: 'bowled', player_out: 'Gill' } }) },
+              { 1.2: { batsman: 'Kohli', bowler: 'Cummins', non_striker: 'Rohit' } },
+            ],
+          },
+        },
+      ],
+    };
+    const { players, errors } = aggregateCricsheetMatches([{ source: 'old.yaml', data }]);
+    expect(errors).toEqual([
+      {
+        match: 'old.yaml',
+        innings: 1,
+        ball: '1.2',
+        reason: 'runs must have non-negative integer batter, extras and total',
+      },
+    ]);
+    expect(players.find((p) => p.name === 'Rohit')).toMatchObject({ runs: 5, balls: 2, notOuts: 1 });
+    expect(players.find((p) => p.name === 'Gill')).toMatchObject({ balls: 1, innings: 1, notOuts: 0 });
+    expect(players.find((p) => p.name === 'Starc')).toMatchObject({ runsConceded: 6, ballsBowled: 2 });
+  });
+
+  describe('importCricsheetFiles', () => {
+    let dir;
+
+    beforeAll(async () => {
+      dir = await mkdtemp(join(tmpdir(), 'cricsheet-'));
+      await writeFile(join(dir, 'm1.json'), JSON.stringify(match));
+      await writeFile(join(dir, 'broken.json'), '{ not json');
+      await writeFile(join(dir, 'm2.yaml'), 'yaml-body');
+      await writeFile(join(dir, 'm3.csv'), 'Rohit,5');
+      await writeFile(
+        join(dir, 'old.yml'),
+        [
+          'info:',
+          '  teams: [India, Australia]',
+          'innings:',
+          '  - 1st innings:',
+          '      team: India',
+          '      deliveries:',
+          '        - 0.1:',
+          '            batsman: Rohit',
+          '            bowler: Starc',
+          '            non_striker: Gill',
+          '            runs: { batsman: 4, extras: 0, total: 4 }',
+          '        - 0.2:',
+          '            batsman: Rohit',
+          '            bowler: Starc',
+          '            non_striker: Gill',
+          '            runs: { batsman: 0, extras: 0, total: 0 }',
+          '            wicket: { kind: caught, player_out: Rohit }',
+          '',
+        ].join('\n')
+      );
+    });
+
+    afterAll(async () => {
+      await rm(dir, { recursive: true, force: true });
+    });
+
+    test('reads JSON files and reports unreadable ones', async () => {
+      const paths = ['m1.json', 'broken.json', 'missing.json', 'm3.csv'].map((f) => join(dir, f));
+      const { players, errors } = await importCricsheetFiles(paths);
+      expect(players.find((p) => p.name === 'Kohli').runs).toBe(6);
+      expect(errors.map((e) => e.match)).toEqual(paths.slice(1));
+      expect(errors[2].reason).toBe('unsupported file type .csv');
+    });
+
+    test('Cricsheet YAML files are parsed without a caller-supplied parser', async () => {
+      const { players, errors } = await importCricsheetFiles([join(dir, 'old.yml')]);
+      expect(errors).toEqual([]);
+      expect(players.find((p) => p.name === 'Rohit')).toMatchObject({
+        runs: 4,
+        balls: 2,
+        innings: 1,
+        notOuts: 0,
+      });
+      expect(players.find((p) => p.name === 'Starc')).toMatchObject({ runsConceded: 4, ballsBowled: 2 });
+    });
+
+    test('YAML files go through the supplied parser', async () => {
+      const parse = (text) => (text === 'yaml-body' ? match : null);
+      const { players, errors } = await importCricsheetFiles([join(dir, 'm2.yaml')], { parse });
+      expect(errors).toEqual([]);
+      expect(players.find((p) => p.name === 'Rohit').runs).toBe(5);
+    });
+  });
+});
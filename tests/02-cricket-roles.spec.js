@@ -0,0 +1,132 @@
+import { classifyPlayerRoles, ROLE_THRESHOLDS } from '../src/02-cricket-roles.js';
+import { getPlayerCard, isAllRounder } from '../src/02-cricket-stats.js';
+
+describe('02 - Cricket Stats: Role Classifier', () => {
+  test('specialist batter in T20 with reasons', () => {
+    expect(classifyPlayerRoles({ battingAvg: 42, strikeRate: 138, economy: 0, ballsBowled: 0 })).toEqual([
+      { role: 'specialist batter', reasons: ['battingAvg 42 >= 25', 'strikeRate 138 >= 130'] },
+    ]);
+  });
+
+  test('bowler and death bowler', () => {
+    const roles = classifyPlayerRoles({
+      battingAvg: 8,
+      strikeRate: 90,
+      economy: 6.8,
+      ballsBowled: 1200,
+      deathOvers: 40,
+      deathRunsConceded: 320,
+    });
+    expect(roles.map((r) => r.role)).toEqual(['bowler', 'death bowler']);
+    expect(roles[1].reasons).toEqual(['deathOvers 40 >= 10', 'deathEconomy 8 <= 9']);
+  });
+
+  test('death economy uses balls, not decimal overs', () => {
+    const stats = { deathOvers: 10.5, deathRunsConceded: 95 };
+    // 10.5 overs = 65 balls: 95 / 65 * 6 = 8.77, not 95 / 10.5 = 9.05
+    expect(classifyPlayerRoles(stats)).toEqual([
+      { role: 'death bowler', reasons: ['deathOvers 10.5 >= 10', 'deathEconomy 8.77 <= 9'] },
+    ]);
+    expect(classifyPlayerRoles({ deathBallsBowled: 65, deathRunsConceded: 95 })[0].reasons).toEqual(
+      ['deathOvers 10.5 >= 10', 'deathEconomy 8.77 <= 9']
+    );
+    expect(classifyPlayerRoles({ deathOvers: '9.7', deathRunsConceded: 40 })).toEqual([]);
+  });
+
+  test('all-rounder matches the legacy isAllRounder rule in T20', () => {
+    const roles = classifyPlayerRoles({ battingAvg: 32, strikeRate: 145, economy: 7.4, ballsBowled: 600 });
+    expect(roles).toContainEqual({
+      role: 'all-rounder',
+      reasons: ['battingAvg 32 > 30', 'economy 7.4 < 8', 'ballsBowled 600 >= 60'],
+    });
+  });
+
+  test('all-rounder agrees with isAllRounder on the 30/8 boundary', () => {
+    const boundary = { battingAvg: 30, strikeRate: 120, economy: 8, ballsBowled: 600 };
+    expect(isAllRounder(30, 8)).toBe(false);
+    expect(classifyPlayerRoles(boundary).map((r) => r.role)).not.toContain('all-rounder');
+
+    const player = {
+      name: 'Shivam',
+      runs: 24,
+      balls: 20,
+      totalRuns: 1800,
+      innings: 70,
+      notOuts: 10,
+      runsConceded: 800,
+      ballsBowled: 600,
+    };
+    const card = getPlayerCard(player, { includeRoles: true });
+    expect(card.battingAvg).toBe(30);
+    expect(card.economy).toBe(8);
+    expect(card.isAllRounder).toBe(false);
+    expect(card.roles.map((r) => r.role)).not.toContain('all-rounder');
+  });
+
+  test('a batter who bowled one over is still a specialist batter', () => {
+    const stats = { battingAvg: 40, strikeRate: 140, economy: 7, ballsBowled: 6 };
+    expect(classifyPlayerRoles(stats)).toEqual([
+      { role: 'specialist batter', reasons: ['battingAvg 40 >= 25', 'strikeRate 140 >= 130'] },
+    ]);
+    expect(classifyPlayerRoles({ ...stats, strikeRate: 90 })).toEqual([]);
+    expect(ROLE_THRESHOLDS.ODI.bowler.minBalls).toBe(120);
+
+    const lenient = { bowler: { minBalls: 6 }, allRounder: { minBalls: 6 } };
+    expect(classifyPlayerRoles(stats, { thresholds: lenient }).map((r) => r.role)).toEqual([
+      'all-rounder',
+    ]);
+  });
+
+  test('wicketkeeper-batter and finisher', () => {
+    const roles = classifyPlayerRoles({
+      battingAvg: 38,
+      strikeRate: 150,
+      innings: 100,
+      notOuts: 40,
+      isWicketkeeper: true,
+    });
+    expect(roles.map((r) => r.role)).toEqual(['specialist batter', 'wicketkeeper-batter', 'finisher']);
+  });
+
+  test('thresholds differ per format and can be overridden', () => {
+    const stats = { battingAvg: 36, strikeRate: 85, economy: 5, ballsBowled: 0 };
+    expect(classifyPlayerRoles(stats, { format: 'T20' })).toEqual([]);
+    expect(classifyPlayerRoles(stats, { format: 'ODI' }).map((r) => r.role)).toEqual([
+      'specialist batter',
+    ]);
+    expect(
+      classifyPlayerRoles(stats, { format: 'ODI', thresholds: { batter: { minAvg: 40 } } })
+    ).toEqual([]);
+    expect(ROLE_THRESHOLDS.ODI.batter.minAvg).toBe(35);
+  });
+
+  test('Test format has no finisher or death bowler', () => {
+    const roles = classifyPlayerRoles(
+      { battingAvg: 20, strikeRate: 160, innings: 10, notOuts: 5, deathOvers: 50, deathRunsConceded: 100 },
+      { format: 'Test' }
+    );
+    expect(roles).toEqual([]);
+  });
+
+  test('invalid stats or format return null', () => {
+    expect(classifyPlayerRoles(null)).toBeNull();
+    expect(classifyPlayerRoles({}, { format: 'T10' })).toBeNull();
+  });
+
+  test('getPlayerCard can include roles', () => {
+    const player = {
+      name: 'Hardik',
+      runs: 35,
+      balls: 20,
+      totalRuns: 2000,
+      innings: 80,
+      notOuts: 20,
+      runsConceded: 1500,
+      overs: 200,
+    };
+    expect(getPlayerCard(player)).not.toHaveProperty('roles');
+    const card = getPlayerCard(player, { includeRoles: true });
+    expect(card.roles.map((r) => r.role)).toEqual(['all-rounder', 'finisher']);
+    expect(getPlayerCard(player, { includeRoles: true, format: 'Test' }).roles).toEqual([]);
+  });
+});
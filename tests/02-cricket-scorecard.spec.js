@@ -0,0 +1,118 @@
+import { createScorecard } from '../src/02-cricket-scorecard.js';
+
+const ball = (overrides = {}) => ({
+  batter: 'Rohit',
+  nonStriker: 'Gill',
+  bowler: 'Starc',
+  runs: 0,
+  ...overrides,
+});
+
+describe('02 - Cricket Stats: Ball-by-Ball Scorecard', () => {
+  let card;
+
+  beforeEach(() => {
+    card = createScorecard({ target: 50, maxOvers: 5 });
+  });
+
+  test('tracks batting card with strike rate from calcStrikeRate', () => {
+    card.addDelivery(ball({ runs: 4 }));
+    card.addDelivery(ball({ runs: 6 }));
+    card.addDelivery(ball({ runs: 1 }));
+    expect(card.getBattingCard()).toEqual([
+      {
+        name: 'Rohit',
+        runs: 11,
+        balls: 3,
+        fours: 1,
+        sixes: 1,
+        strikeRate: 366.67,
+        isOut: false,
+        dismissal: null,
+      },
+      {
+        name: 'Gill',
+        runs: 0,
+        balls: 0,
+        fours: 0,
+        sixes: 0,
+        strikeRate: 0,
+        isOut: false,
+        dismissal: null,
+      },
+    ]);
+  });
+
+  test('wides and no-balls go to the bowler, byes do not', () => {
+    card.addDelivery(ball({ extras: { type: 'wide', runs: 1 } }));
+    card.addDelivery(ball({ runs: 2, extras: { type: 'noball', runs: 1 } }));
+    card.addDelivery(ball({ extras: { type: 'bye', runs: 4 } }));
+    const summary = card.getSummary();
+    expect(summary.runs).toBe(8);
+    expect(summary.balls).toBe(1);
+    expect(summary.extras).toEqual({ wides: 1, noballs: 1, byes: 4, legbyes: 0, total: 6 });
+    expect(card.getBowlingCard()[0]).toMatchObject({ runs: 4, balls: 1, overs: '0.1' });
+    expect(card.getBattingCard()[0]).toMatchObject({ runs: 2, balls: 2 });
+  });
+
+  test('bowling card with maidens and economy from calcEconomy', () => {
+    for (let i = 0; i < 6; i += 1) card.addDelivery(ball());
+    for (let i = 0; i < 4; i += 1) card.addDelivery(ball({ bowler: 'Cummins', runs: 2 }));
+    expect(card.getBowlingCard()).toEqual([
+      { name: 'Starc', overs: '1.0', balls: 6, maidens: 1, runs: 0, wickets: 0, economy: 0 },
+      { name: 'Cummins', overs: '0.4', balls: 4, maidens: 0, runs: 8, wickets: 0, economy: 12 },
+    ]);
+  });
+
+  test('fall of wickets and partnerships', () => {
+    card.addDelivery(ball({ runs: 4 }));
+    card.addDelivery(ball({ extras: { type: 'legbye', runs: 1 } }));
+    card.addDelivery(ball({ wicket: { kind: 'caught' } }));
+    card.addDelivery(ball({ batter: 'Kohli', runs: 2 }));
+    card.addDelivery(
+      ball({ batter: 'Gill', nonStriker: 'Kohli', wicket: { kind: 'run out', playerOut: 'Kohli' } })
+    );
+
+    expect(card.getFallOfWickets()).toEqual([
+      { wicket: 1, score: 5, player: 'Rohit', over: '0.3' },
+      { wicket: 2, score: 7, player: 'Kohli', over: '0.5' },
+    ]);
+    expect(card.getPartnerships()).toEqual([
+      { wicket: 1, batters: ['Rohit', 'Gill'], runs: 5, balls: 3 },
+      { wicket: 2, batters: ['Kohli', 'Gill'], runs: 2, balls: 2 },
+    ]);
+    expect(card.getBowlingCard()[0].wickets).toBe(1);
+    expect(card.getBattingCard().find((b) => b.name === 'Rohit').dismissal).toBe('caught');
+  });
+
+  test('dismissed batters cannot face again', () => {
+    card.addDelivery(ball({ wicket: { kind: 'bowled' } }));
+    expect(card.addDelivery(ball())).toBe(false);
+  });
+
+  test('current and required run rate', () => {
+    for (let i = 0; i < 6; i += 1) card.addDelivery(ball({ runs: 2 }));
+    const summary = card.getSummary();
+    expect(summary.overs).toBe('1.0');
+    expect(summary.currentRunRate).toBe(12);
+    expect(summary.requiredRunRate).toBe(9.5);
+    expect(createScorecard().getSummary().requiredRunRate).toBeNull();
+  });
+
+  test('innings ends when target is reached', () => {
+    const chase = createScorecard({ target: 6, maxOvers: 1 });
+    expect(chase.addDelivery(ball({ runs: 6 }))).toBe(true);
+    expect(chase.getSummary()).toMatchObject({ isComplete: true, requiredRunRate: 0 });
+    expect(chase.addDelivery(ball())).toBe(false);
+  });
+
+  test('invalid deliveries and configuration are rejected', () => {
+    expect(card.addDelivery(null)).toBe(false);
+    expect(card.addDelivery(ball({ bowler: '' }))).toBe(false);
+    expect(card.addDelivery(ball({ nonStriker: 'Rohit' }))).toBe(false);
+    expect(card.addDelivery(ball({ extras: { type: 'overthrow', runs: 1 } }))).toBe(false);
+    expect(card.addDelivery(ball({ wicket: { kind: 'caught', playerOut: 'Kohli' } }))).toBe(false);
+    expect(createScorecard({ maxOvers: 0 })).toBeNull();
+    expect(createScorecard({ target: -5 })).toBeNull();
+  });
+});
@@ -0,0 +1,86 @@
+import { createSquad } from '../src/02-cricket-squad.js';
+
+const players = [
+  { name: 'Rohit', runs: 600, balls: 400, totalRuns: 600, innings: 15, notOuts: 1 },
+  { name: 'Surya', runs: 12, balls: 3, totalRuns: 12, innings: 1, notOuts: 1 },
+  {
+    name: 'Hardik',
+    runs: 300,
+    balls: 200,
+    totalRuns: 300,
+    innings: 12,
+    notOuts: 4,
+    runsConceded: 320,
+    overs: '40.0',
+  },
+  { name: 'Bumrah', runs: 20, balls: 30, totalRuns: 20, innings: 6, notOuts: 3, runsConceded: 250, ballsBowled: 300 },
+  { name: 'Arshdeep', runs: 0, balls: 0, totalRuns: 0, innings: 0, runsConceded: 30, overs: 4 },
+  { runs: 10, balls: 5 },
+];
+
+describe('02 - Cricket Stats: Squad Leaderboards', () => {
+  let squad;
+
+  beforeEach(() => {
+    squad = createSquad(players);
+  });
+
+  test('builds cards and skips invalid players', () => {
+    expect(squad.getCards().map((c) => c.name)).toEqual(['Rohit', 'Surya', 'Hardik', 'Bumrah', 'Arshdeep']);
+  });
+
+  test('strike rate leaderboard needs minimum balls', () => {
+    expect(squad.getLeaderboard('strikeRate')).toEqual([
+      { rank: 1, name: 'Rohit', value: 150 },
+      { rank: 2, name: 'Hardik', value: 150 },
+    ]);
+    const loose = createSquad(players, { minBalls: 1 });
+    expect(loose.getLeaderboard('strikeRate', 1)).toEqual([{ rank: 1, name: 'Surya', value: 400 }]);
+  });
+
+  test('economy leaderboard needs minimum overs and sorts lowest first', () => {
+    expect(squad.getLeaderboard('economy')).toEqual([
+      { rank: 1, name: 'Bumrah', value: 5 },
+      { rank: 2, name: 'Hardik', value: 8 },
+    ]);
+    expect(createSquad(players, { minOvers: 4 }).getLeaderboard('economy')).toHaveLength(3);
+  });
+
+  test('batting average leaderboard needs minimum innings', () => {
+    expect(squad.getLeaderboard('battingAvg')).toEqual([
+      { rank: 1, name: 'Rohit', value: 42.86 },
+      { rank: 2, name: 'Hardik', value: 37.5 },
+      { rank: 3, name: 'Bumrah', value: 6.67 },
+    ]);
+    expect(squad.getLeaderboard('sixes')).toBeNull();
+  });
+
+  test('team totals combine everyone', () => {
+    expect(squad.getTeamTotals()).toEqual({
+      players: 5,
+      runs: 932,
+      balls: 633,
+      runsConceded: 600,
+      ballsBowled: 564,
+      overs: '94.0',
+      strikeRate: 147.24,
+      economy: 6.38,
+    });
+  });
+
+  test('head-to-head comparison', () => {
+    expect(squad.compare('Hardik', 'Bumrah')).toEqual({
+      players: ['Hardik', 'Bumrah'],
+      strikeRate: { Hardik: 150, Bumrah: 66.67, leader: 'Hardik' },
+      economy: { Hardik: 8, Bumrah: 5, leader: 'Bumrah' },
+      battingAvg: { Hardik: 37.5, Bumrah: 6.67, leader: 'Hardik' },
+    });
+    expect(squad.compare('Rohit', 'Hardik').economy).toEqual({ Rohit: null, Hardik: 8, leader: null });
+    expect(squad.compare('Rohit', 'Dhoni')).toBeNull();
+  });
+
+  test('invalid input returns null', () => {
+    expect(createSquad(null)).toBeNull();
+    expect(createSquad(players, { minBalls: -1 })).toBeNull();
+  });
+});
@@ -4,6 +4,10 @@ import {
   calcBattingAvg,
   isAllRounder,
   getPlayerCard,
+  parseOvers,
+  formatOvers,
+  calcBowlingAvg,
+  calcBowlingStrikeRate,
 } from '../src/02-cricket-stats.js';
 
 describe('02 - Cricket Stats Dashboard (7 pts)', () => {
@@ -144,3 +148,55 @@ describe('02 - Cricket Stats Dashboard (7 pts)', () => {
     });
   });
 });
+
+describe('02 - Cricket Stats: Overs Notation', () => {
+  test('parseOvers reads cricket notation into balls', () => {
+    expect(parseOvers(3.4)).toBe(22);
+    expect(parseOvers('3.4')).toBe(22);
+    expect(parseOvers(20)).toBe(120);
+    expect(parseOvers('0.5')).toBe(5);
+  });
+
+  test('parseOvers rejects impossible overs', () => {
+    expect(parseOvers(3.7)).toBeNull();
+    expect(parseOvers('3.6')).toBeNull();
+    expect(parseOvers(-1)).toBeNull();
+    expect(parseOvers('abc')).toBeNull();
+    expect(parseOvers(NaN)).toBeNull();
+  });
+
+  test('formatOvers turns balls back into notation', () => {
+    expect(formatOvers(22)).toBe('3.4');
+    expect(formatOvers(24)).toBe('4.0');
+    expect(formatOvers(-1)).toBeNull();
+    expect(formatOvers(2.5)).toBeNull();
+  });
+
+  test('configurable balls per over', () => {
+    expect(parseOvers('3.4', 5)).toBe(19);
+    expect(parseOvers('3.5', 5)).toBeNull();
+    expect(formatOvers(19, 5)).toBe('3.4');
+    expect(calcEconomy(19, '3.4', { ballsPerOver: 5 })).toBe(5);
+  });
+
+  test('calcEconomy uses balls, not decimal overs', () => {
+    expect(calcEconomy(22, 3.4)).toBe(6);
+    expect(calcEconomy(22, { balls: 22 })).toBe(6);
+    expect(calcEconomy(30, 3.7)).toBe(0);
+    expect(calcEconomy(30, { balls: 0 })).toBe(0);
+  });
+
+  test('bowling average and bowling strike rate', () => {
+    expect(calcBowlingAvg(150, 6)).toBe(25);
+    expect(calcBowlingAvg(150, 0)).toBe(0);
+    expect(calcBowlingStrikeRate(3.4, 2)).toBe(11);
+    expect(calcBowlingStrikeRate({ balls: 45 }, 2)).toBe(22.5);
+    expect(calcBowlingStrikeRate(4, 0)).toBe(0);
+  });
+
+  test('getPlayerCard prefers ballsBowled when given', () => {
+    const card = getPlayerCard({ name: 'Bumrah', runsConceded: 22, overs: 3.4 });
+    expect(card.economy).toBe(6);
+    expect(getPlayerCard({ name: 'Bumrah', runsConceded: 22, ballsBowled: 22 }).economy).toBe(6);
+  });
+});
@@ -0,0 +1,153 @@
+import { resolveAddon, addonTotal } from '../src/03-tiffin-addons.js';
+import { createTiffinPlan, applyAddons, removeAddons } from '../src/03-tiffin-service.js';
+import { generateInvoices } from '../src/03-tiffin-billing.js';
+import { pausePlan, resumePlan } from '../src/03-tiffin-schedule.js';
+
+describe('03 - Tiffin Service: Addon Catalogue', () => {
+  test('resolveAddon looks up the catalogue and applies overrides', () => {
+    expect(resolveAddon('raita', 'veg')).toEqual({ name: 'raita', mode: 'perDay', price: 15, quantity: 1 });
+    expect(resolveAddon({ name: 'tiffinBox', quantity: 2 }, 'veg')).toEqual({
+      name: 'tiffinBox',
+      mode: 'oneTime',
+      price: 200,
+      quantity: 2,
+    });
+    expect(resolveAddon({ name: 'raita', price: 12 }, 'jain').price).toBe(12);
+    expect(resolveAddon({ name: 'achaar', price: 5 }, 'veg').mode).toBe('perDay');
+  });
+
+  test('resolveAddon rejects unknown, disallowed or invalid addons', () => {
+    expect(resolveAddon('achaar', 'veg')).toBeNull();
+    expect(resolveAddon('chicken', 'jain')).toBeNull();
+    expect(resolveAddon({ name: 'chicken', price: 40 }, 'veg')).toBeNull();
+    expect(resolveAddon({ name: 'raita', quantity: 0 }, 'veg')).toBeNull();
+    expect(resolveAddon({ name: 'raita', mode: 'perMonth' }, 'veg')).toBeNull();
+    expect(resolveAddon({ name: 'raita', price: -5 }, 'veg')).toBeNull();
+  });
+
+  test('addonTotal per pricing mode', () => {
+    const ctx = { deliveries: 26, days: 30 };
+    expect(addonTotal({ mode: 'perDay', price: 15, quantity: 2 }, ctx)).toBe(780);
+    expect(addonTotal({ mode: 'perWeek', price: 60, quantity: 1 }, ctx)).toBe(300);
+    expect(addonTotal({ mode: 'oneTime', price: 200, quantity: 1 }, ctx)).toBe(200);
+  });
+
+  test('applyAddons mixes per-day, per-week and one-time pricing with an itemised list', () => {
+    const plan = applyAddons(
+      createTiffinPlan({ name: 'Priya', mealType: 'nonveg', days: 30 }),
+      { name: 'chicken', quantity: 2 },
+      'weekendSpecial',
+      'tiffinBox'
+    );
+    expect(plan.dailyRate).toBe(200);
+    expect(plan.totalCost).toBe(200 * 30 + 60 * 5 + 200);
+    expect(plan.addons).toEqual([
+      { name: 'chicken', mode: 'perDay', price: 40, quantity: 2, total: 2400 },
+      { name: 'weekendSpecial', mode: 'perWeek', price: 60, quantity: 1, total: 300 },
+      { name: 'tiffinBox', mode: 'oneTime', price: 200, quantity: 1, total: 200 },
+    ]);
+    expect(plan.addonNames).toEqual(['chicken', 'weekendSpecial', 'tiffinBox']);
+  });
+
+  test('applying the same addon again increases its quantity', () => {
+    const plan = applyAddons(applyAddons(createTiffinPlan({ name: 'Rahul' }), 'raita'), 'raita');
+    expect(plan.addons).toEqual([{ name: 'raita', mode: 'perDay', price: 15, quantity: 2, total: 900 }]);
+    expect(plan.dailyRate).toBe(110);
+  });
+
+  test('jain plan refuses chicken', () => {
+    expect(applyAddons(createTiffinPlan({ name: 'Neha', mealType: 'jain' }), 'chicken')).toBeNull();
+  });
+
+  test('removeAddons restores the base price and ignores missing names', () => {
+    const base = createTiffinPlan({ name: 'Rahul' });
+    const plan = applyAddons(base, 'raita', 'papad', 'tiffinBox');
+    const trimmed = removeAddons(plan, 'papad', 'tiffinBox', 'sweet');
+    expect(trimmed.dailyRate).toBe(95);
+    expect(trimmed.totalCost).toBe(2850);
+    expect(trimmed.addonNames).toEqual(['raita']);
+    expect(removeAddons(trimmed, 'raita')).toMatchObject({ dailyRate: 80, totalCost: 2400, addons: [] });
+    expect(plan.addons).toHaveLength(3);
+    expect(removeAddons(null, 'raita')).toBeNull();
+  });
+
+  test('scheduled plans price per-day addons on delivery dates', () => {
+    // Mon-Sat over two weeks: 12 deliveries
+    const base = createTiffinPlan({
+      name: 'Amit',
+      days: 14,
+      startDate: '2026-10-05',
+      deliveryDays: ['mon', 'tue', 'wed', 'thu', 'fri', 'sat'],
+    });
+    const plan = applyAddons(base, 'raita', 'weekendSpecial');
+    expect(plan.totalCost).toBe(95 * 12 + 60 * 2);
+  });
+
+  test('applying an existing addon at a different price or mode is rejected', () => {
+    const plan = applyAddons(createTiffinPlan({ name: 'Rahul' }), 'raita');
+    expect(applyAddons(plan, { name: 'raita', price: 25 })).toBeNull();
+    expect(applyAddons(plan, { name: 'raita', mode: 'perWeek' })).toBeNull();
+    expect(applyAddons(plan, { name: 'raita', price: 15 }).addons[0].quantity).toBe(2);
+  });
+
+  test('invoices itemise weekly and one-time addons', () => {
+    const plan = applyAddons(
+      createTiffinPlan({ name: 'Rahul', days: 30, startDate: '2026-10-20' }),
+      'weekendSpecial',
+      'tiffinBox'
+    );
+    const [october, november] = generateInvoices(plan, [], { lateFee: 0 });
+    expect(october.lines.map((line) => [line.description, line.quantity, line.amount])).toEqual([
+      ['veg meals', 12, 960],
+      ['weekendSpecial', 2, 120],
+      ['tiffinBox', 1, 200],
+    ]);
+    expect(november.lines.map((line) => [line.description, line.quantity, line.amount])).toEqual([
+      ['veg meals', 18, 1440],
+      ['weekendSpecial', 3, 180],
+    ]);
+  });
+
+  test('pausing a plan with addons keeps one-time charges and reprices each addon', () => {
+    const plan = applyAddons(
+      createTiffinPlan({ name: 'Rahul', days: 14, startDate: '2026-10-05' }),
+      'tiffinBox',
+      'raita'
+    );
+    expect(plan.totalCost).toBe(1530);
+
+    const paused = pausePlan(plan, '2026-10-08', '2026-10-10');
+    expect(paused.deliveryDates).toHaveLength(11);
+    expect(paused.dailyRate).toBe(95);
+    expect(paused.totalCost).toBe(1245);
+    expect(paused.addons).toEqual([
+      { name: 'tiffinBox', mode: 'oneTime', price: 200, quantity: 1, total: 200 },
+      { name: 'raita', mode: 'perDay', price: 15, quantity: 1, total: 165 },
+    ]);
+
+    const open = pausePlan(plan, '2026-10-15');
+    expect(resumePlan(open, '2026-10-17').totalCost).toBe(95 * 12 + 200);
+  });
+
+  test('weekly addons are only charged for weeks that still have a delivery', () => {
+    const plan = applyAddons(
+      createTiffinPlan({ name: 'Rahul', days: 14, startDate: '2026-10-05' }),
+      'weekendSpecial'
+    );
+    expect(plan.addons[0].total).toBe(120);
+
+    // paused from day 3 to the end: 2 deliveries, both in the first week
+    const paused = pausePlan(plan, '2026-10-07');
+    expect(paused.deliveryDates).toEqual(['2026-10-05', '2026-10-06']);
+    expect(paused.addons[0].total).toBe(60);
+    expect(paused.totalCost).toBe(80 * 2 + 60);
+    expect(resumePlan(paused, '2026-10-15').addons[0].total).toBe(120);
+
+    const [october] = generateInvoices(paused, [], { lateFee: 0 });
+    expect(october.lines.map((line) => [line.description, line.quantity])).toEqual([
+      ['veg meals', 2],
+      ['weekendSpecial', 1],
+    ]);
+    expect(october.subtotal).toBe(paused.totalCost);
+  });
+});
@@ -0,0 +1,60 @@
+import { analyzePlans } from '../src/03-tiffin-analytics.js';
+import { createTiffinPlan, applyAddons } from '../src/03-tiffin-service.js';
+
+const plans = [
+  { ...applyAddons(createTiffinPlan({ name: 'Rahul' }), { name: 'raita', price: 15 }), area: 'Dadar' },
+  { ...createTiffinPlan({ name: 'Priya', mealType: 'nonveg', days: 20 }), area: 'Andheri' },
+  {
+    ...applyAddons(createTiffinPlan({ name: 'Amit', days: 10 }), { name: 'papad', price: 10 }, { name: 'raita', price: 15 }),
+    area: 'Dadar',
+  },
+  createTiffinPlan({ name: 'Neha', mealType: 'jain', days: 15 }),
+];
+
+describe('03 - Tiffin Service: Plan Analytics', () => {
+  test('default result matches combinePlans', () => {
+    expect(analyzePlans(plans)).toEqual({
+      totalCustomers: 4,
+      totalRevenue: 2850 + 2400 + 1050 + 1350,
+      mealBreakdown: { veg: 2, nonveg: 1, jain: 1 },
+    });
+  });
+
+  test('built-in metrics', () => {
+    const result = analyzePlans(plans, {
+      metrics: ['revenueByMealType', 'averagePlanLength', 'addonPopularity'],
+    });
+    expect(result.revenueByMealType).toEqual({ veg: 3900, nonveg: 2400, jain: 1350 });
+    expect(result.averagePlanLength).toBe(18.75);
+    expect(result.addonPopularity).toEqual([
+      { name: 'raita', count: 2 },
+      { name: 'papad', count: 1 },
+    ]);
+  });
+
+  test('group by key or function, with custom aggregations', () => {
+    const byArea = analyzePlans(plans, { groupBy: 'area', metrics: ['revenueByMealType'] });
+    expect(Object.keys(byArea.groups)).toEqual(['Dadar', 'Andheri', 'unknown']);
+    expect(byArea.groups.Dadar).toEqual({
+      totalCustomers: 2,
+      totalRevenue: 3900,
+      mealBreakdown: { veg: 2 },
+      revenueByMealType: { veg: 3900 },
+    });
+
+    const longest = { name: 'longest', aggregate: (subset) => Math.max(...subset.map((p) => p.days)) };
+    const byLength = analyzePlans(plans, {
+      groupBy: (plan) => (plan.days >= 20 ? 'monthly' : 'short'),
+      metrics: [longest],
+    });
+    expect(byLength.longest).toBe(30);
+    expect(byLength.groups.short).toMatchObject({ totalCustomers: 2, longest: 15 });
+  });
+
+  test('invalid input returns null', () => {
+    expect(analyzePlans([])).toBeNull();
+    expect(analyzePlans(plans, { metrics: ['profit'] })).toBeNull();
+    expect(analyzePlans(plans, { metrics: [{ name: 'x' }] })).toBeNull();
+    expect(analyzePlans(plans, { groupBy: 42 })).toBeNull();
+  });
+});
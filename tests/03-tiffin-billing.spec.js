@@ -0,0 +1,104 @@
+import { generateInvoices } from '../src/03-tiffin-billing.js';
+import { createTiffinPlan, applyAddons } from '../src/03-tiffin-service.js';
+
+// Oct 20 -> Nov 18 2026, every day: 12 meals in October, 18 in November
+const plan = () => createTiffinPlan({ name: 'Rahul', days: 30, startDate: '2026-10-20' });
+
+describe('03 - Tiffin Service: Monthly Billing', () => {
+  test('one invoice per month with base meals and sequential numbers', () => {
+    const invoices = generateInvoices(plan(), [], { lateFee: 0 });
+    expect(invoices.map((inv) => inv.invoiceNumber)).toEqual(['TIF-0001', 'TIF-0002']);
+    expect(invoices[0]).toEqual({
+      invoiceNumber: 'TIF-0001',
+      customer: 'Rahul',
+      mealType: 'veg',
+      period: '2026-10',
+      issueDate: '2026-10-01',
+      dueDate: '2026-10-08',
+      lines: [{ type: 'meals', description: 'veg meals', quantity: 12, unitPrice: 80, amount: 960 }],
+      subtotal: 960,
+      previousBalance: 0,
+      paymentsReceived: 0,
+      balanceDue: 960,
+    });
+    expect(invoices[1].subtotal).toBe(1440);
+    expect(invoices[1].balanceDue).toBe(2400);
+  });
+
+  test('addons from applyAddons are itemised per meal', () => {
+    const withAddons = applyAddons(plan(), { name: 'raita', price: 15 }, { name: 'papad', price: 10 });
+    const [october] = generateInvoices(withAddons, []);
+    expect(october.lines.map((line) => [line.type, line.description, line.amount])).toEqual([
+      ['meals', 'veg meals', 960],
+      ['addon', 'raita', 180],
+      ['addon', 'papad', 120],
+    ]);
+    expect(october.subtotal).toBe(1260);
+  });
+
+  test('skipped meals are credited on the next invoice, including a closing credit', () => {
+    const log = [
+      { date: '2026-10-21', status: 'skipped' },
+      { date: '2026-10-22', status: 'delivered' },
+      { date: '2026-11-18', status: 'skipped' },
+    ];
+    const invoices = generateInvoices(plan(), log, { lateFee: 0 });
+    expect(invoices).toHaveLength(3);
+    expect(invoices[1].lines[1]).toEqual({
+      type: 'credit',
+      description: 'skipped meals in 2026-10',
+      quantity: 1,
+      unitPrice: -80,
+      amount: -80,
+    });
+    expect(invoices[1].subtotal).toBe(1360);
+    expect(invoices[2].period).toBe('2026-12');
+    expect(invoices[2].subtotal).toBe(-80);
+    expect(invoices[2].balanceDue).toBe(2240);
+  });
+
+  test('payments reduce the running balance and late fees apply when unpaid by due date', () => {
+    const onTime = generateInvoices(plan(), [], { payments: [{ date: '2026-10-05', amount: 960 }] });
+    expect(onTime[1].paymentsReceived).toBe(960);
+    expect(onTime[1].lines.some((line) => line.type === 'late-fee')).toBe(false);
+    expect(onTime[1].balanceDue).toBe(1440);
+
+    const late = generateInvoices(plan(), [], { payments: [{ date: '2026-10-15', amount: 960 }] });
+    expect(late[1].lines[1]).toMatchObject({ type: 'late-fee', description: 'late payment on TIF-0001', amount: 50 });
+    expect(late[1].balanceDue).toBe(1490);
+  });
+
+  test('unscheduled plans bill the logged meals; options change numbering', () => {
+    const simple = createTiffinPlan({ name: 'Priya', mealType: 'jain', days: 3 });
+    const log = [
+      { date: '2026-12-30', status: 'delivered' },
+      { date: '2026-12-31', status: 'delivered' },
+      { date: '2027-01-01', status: 'delivered' },
+    ];
+    const invoices = generateInvoices(simple, log, { prefix: 'MUM', startNumber: 41, openingBalance: 100 });
+    expect(invoices.map((inv) => [inv.invoiceNumber, inv.period, inv.subtotal])).toEqual([
+      ['MUM-0041', '2026-12', 180],
+      ['MUM-0042', '2027-01', 140],
+    ]);
+    expect(invoices[0].balanceDue).toBe(280);
+  });
+
+  test('deterministic: same input regenerates identical invoices', () => {
+    const log = [{ date: '2026-10-25', status: 'skipped' }];
+    expect(generateInvoices(plan(), log)).toEqual(generateInvoices(plan(), log));
+  });
+
+  test('invalid input returns null, no meals returns []', () => {
+    expect(generateInvoices(null, [])).toBeNull();
+    expect(generateInvoices(plan(), [{ date: '2026-09-01', status: 'delivered' }])).toBeNull();
+    expect(generateInvoices(plan(), [{ date: '2026-10-21', status: 'lost' }])).toBeNull();
+    expect(
+      generateInvoices(plan(), [
+        { date: '2026-10-21', status: 'skipped' },
+        { date: '2026-10-21', status: 'delivered' },
+      ])
+    ).toBeNull();
+    expect(generateInvoices(plan(), [], { payments: [{ date: '2026-10-05', amount: -5 }] })).toBeNull();
+    expect(generateInvoices(createTiffinPlan({ name: 'Priya' }), [])).toEqual([]);
+  });
+});
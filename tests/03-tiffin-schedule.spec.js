@@ -0,0 +1,94 @@
+import { buildDeliverySchedule, pausePlan, resumePlan } from '../src/03-tiffin-schedule.js';
+import { createTiffinPlan, applyAddons } from '../src/03-tiffin-service.js';
+
+const monToSat = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+describe('03 - Tiffin Service: Delivery Schedule', () => {
+  test('skips days outside the delivery calendar', () => {
+    // 2026-10-05 is a Monday
+    expect(buildDeliverySchedule({ startDate: '2026-10-05', days: 8, deliveryDays: monToSat })).toEqual([
+      '2026-10-05',
+      '2026-10-06',
+      '2026-10-07',
+      '2026-10-08',
+      '2026-10-09',
+      '2026-10-10',
+      '2026-10-12',
+    ]);
+  });
+
+  test('numeric weekdays, pauses and holidays', () => {
+    const dates = buildDeliverySchedule({
+      startDate: '2026-10-05',
+      days: 7,
+      deliveryDays: [1, 2, 3, 4, 5],
+      pauses: [{ from: '2026-10-06', to: '2026-10-07' }],
+      holidays: ['2026-10-09'],
+    });
+    expect(dates).toEqual(['2026-10-05', '2026-10-08']);
+  });
+
+  test('invalid schedule input returns null', () => {
+    expect(buildDeliverySchedule({ startDate: '2026-02-30', days: 5 })).toBeNull();
+    expect(buildDeliverySchedule({ startDate: '2026-10-05', days: 0 })).toBeNull();
+    expect(buildDeliverySchedule({ startDate: '2026-10-05', days: 5, deliveryDays: ['funday'] })).toBeNull();
+    expect(
+      buildDeliverySchedule({ startDate: '2026-10-05', days: 5, pauses: [{ from: '2026-10-08', to: '2026-10-06' }] })
+    ).toBeNull();
+    expect(buildDeliverySchedule({ startDate: '2026-10-05', days: 5, holidays: ['soon'] })).toBeNull();
+  });
+
+  test('createTiffinPlan charges only scheduled deliveries', () => {
+    const plan = createTiffinPlan({
+      name: 'Rahul',
+      days: 14,
+      startDate: '2026-10-05',
+      deliveryDays: monToSat,
+      holidays: ['2026-10-12'],
+    });
+    expect(plan.deliveryDates).toHaveLength(11);
+    expect(plan.totalCost).toBe(880);
+    expect(plan).toMatchObject({ startDate: '2026-10-05', pauses: [], holidays: ['2026-10-12'] });
+  });
+
+  test('createTiffinPlan defaults to every day and rejects bad schedules', () => {
+    const plan = createTiffinPlan({ name: 'Neha', days: 7, startDate: '2026-10-05' });
+    expect(plan.deliveryDates).toHaveLength(7);
+    expect(plan.totalCost).toBe(560);
+    expect(createTiffinPlan({ name: 'Neha', startDate: 'tomorrow' })).toBeNull();
+  });
+
+  test('pause and resume return new plans with recalculated cost', () => {
+    const plan = createTiffinPlan({ name: 'Amit', mealType: 'nonveg', days: 10, startDate: '2026-10-05' });
+    const paused = pausePlan(plan, '2026-10-08');
+    expect(paused.deliveryDates).toEqual(['2026-10-05', '2026-10-06', '2026-10-07']);
+    expect(paused.totalCost).toBe(360);
+    expect(plan.totalCost).toBe(1200);
+
+    const resumed = resumePlan(paused, '2026-10-12');
+    expect(resumed.pauses).toEqual([{ from: '2026-10-08', to: '2026-10-11' }]);
+    expect(resumed.deliveryDates).toHaveLength(6);
+    expect(resumed.totalCost).toBe(720);
+  });
+
+  test('addons on a scheduled plan are charged per delivery date', () => {
+    const plan = createTiffinPlan({
+      name: 'Priya',
+      days: 8,
+      startDate: '2026-10-05',
+      deliveryDays: monToSat,
+      holidays: ['2026-10-07'],
+    });
+    const withRaita = applyAddons(plan, { name: 'raita', price: 15 });
+    expect(withRaita.deliveryDates).toHaveLength(6);
+    expect(withRaita.totalCost).toBe(95 * 6);
+  });
+
+  test('pause/resume guard against invalid use', () => {
+    const plan = createTiffinPlan({ name: 'Amit', days: 10, startDate: '2026-10-05' });
+    expect(pausePlan(createTiffinPlan({ name: 'Old' }), '2026-10-08')).toBeNull();
+    expect(pausePlan(plan, 'never')).toBeNull();
+    expect(resumePlan(plan, '2026-10-09')).toBeNull();
+    expect(resumePlan(pausePlan(plan, '2026-10-08'), '2026-10-08')).toBeNull();
+  });
+});
@@ -0,0 +1,88 @@
+import { projectBoxOffice, projectionToCSV } from '../src/04-bollywood-boxoffice.js';
+import { createTicketPricer } from '../src/04-bollywood-director.js';
+import { createRatingAggregator } from '../src/04-bollywood-ratings.js';
+
+// 2026-11-06 is a Friday
+const base = () => ({
+  pricer: createTicketPricer(200),
+  releaseDate: '2026-11-06',
+  screens: 1,
+  showsPerDay: 1,
+  seatMix: { silver: 100 },
+  occupancyByWeek: [0.5, 0.4],
+  rating: 8,
+});
+
+describe('04 - Bollywood Director: Box Office Projection', () => {
+  test('day-by-day table with weekend pricing and boost', () => {
+    const { days } = projectBoxOffice(base());
+    expect(days).toHaveLength(14);
+    expect(days[0]).toEqual({
+      day: 1,
+      date: '2026-11-06',
+      weekday: 'fri',
+      week: 1,
+      isWeekend: true,
+      occupancy: 0.625,
+      tickets: 63,
+      gross: 16380,
+      net: 13881.36,
+      cumulativeGross: 16380,
+      cumulativeNet: 13881.36,
+    });
+    expect(days[3]).toMatchObject({ weekday: 'mon', isWeekend: false, tickets: 50, gross: 10000 });
+  });
+
+  test('rating drives word of mouth from week two', () => {
+    const good = projectBoxOffice(base());
+    expect(good.days[10]).toMatchObject({ week: 2, weekday: 'mon', occupancy: 0.44, tickets: 44, gross: 8800 });
+
+    const flop = projectBoxOffice({ ...base(), rating: 2 });
+    expect(flop.days[0].tickets).toBe(good.days[0].tickets);
+    expect(flop.days[10].tickets).toBe(32);
+  });
+
+  test('accepts a rating aggregator result and sums weeks', () => {
+    const rating = createRatingAggregator({ story: 1 })([{ story: 6 }]);
+    const projection = projectBoxOffice({ ...base(), rating, seatMix: { silver: 100, gold: 20 } });
+    expect(projection.weeks[0]).toEqual({ week: 1, tickets: 189 + 200 + 39 + 40, gross: 49140 + 40000 + 15210 + 12000, net: 98601.71 });
+    expect(projection.totals.gross).toBe(projection.days[13].cumulativeGross);
+  });
+
+  test('aggregator results are read on their own scale', () => {
+    const reviews = [{ story: 4 }];
+    const outOfTen = createRatingAggregator({ story: 1 }, { scale: 5 })(reviews);
+    const outOfFive = createRatingAggregator({ story: 1 }, { scale: 5, outputScale: 5 })(reviews);
+    expect([outOfTen.rating, outOfFive.rating, outOfFive.scale]).toEqual([8, 4, 5]);
+    expect(projectBoxOffice({ ...base(), rating: outOfFive })).toEqual(projectBoxOffice(base()));
+
+    // sensitivity is per point of ratingScale: one point out of 5 is worth two out of 10
+    const fivePoint = { ...base(), rating: 4, ratingScale: 5, neutralRating: 3, ratingSensitivity: 0.1 };
+    expect(projectBoxOffice(fivePoint)).toEqual(projectBoxOffice(base()));
+  });
+
+  test('occupancy is clamped to a full house', () => {
+    const { days } = projectBoxOffice({ ...base(), occupancyByWeek: [0.95] });
+    expect(days[0].occupancy).toBe(1);
+    expect(days[0].tickets).toBe(100);
+  });
+
+  test('CSV export', () => {
+    const csv = projectionToCSV(projectBoxOffice(base())).split('\n');
+    expect(csv).toHaveLength(15);
+    expect(csv[0]).toBe('day,date,weekday,week,isWeekend,occupancy,tickets,gross,net,cumulativeGross,cumulativeNet');
+    expect(csv[1]).toBe('1,2026-11-06,fri,1,true,0.625,63,16380,13881.36,16380,13881.36');
+    expect(projectionToCSV(null)).toBeNull();
+  });
+
+  test('invalid input returns null', () => {
+    expect(projectBoxOffice({ ...base(), pricer: null })).toBeNull();
+    expect(projectBoxOffice({ ...base(), seatMix: { recliner: 10 } })).toBeNull();
+    expect(projectBoxOffice({ ...base(), occupancyByWeek: [1.2] })).toBeNull();
+    expect(projectBoxOffice({ ...base(), releaseDate: '2026-13-01' })).toBeNull();
+    expect(projectBoxOffice({ ...base(), rating: undefined })).toBeNull();
+    expect(projectBoxOffice({ ...base(), screens: 0 })).toBeNull();
+    expect(projectBoxOffice({ ...base(), rating: 12 })).toBeNull();
+    expect(projectBoxOffice({ ...base(), ratingScale: 5 })).toBeNull();
+  });
+});
@@ -0,0 +1,66 @@
+import { createDialogueEngine } from '../src/04-bollywood-dialogue.js';
+
+describe('04 - Bollywood Director: Dialogue Engine', () => {
+  test('default genres render like createDialogueWriter', () => {
+    const write = createDialogueEngine().createWriter('action');
+    expect(write({ hero: 'Shah Rukh', villain: 'Raees' })).toBe("Shah Rukh says: 'Tujhe toh main dekh lunga, Raees!'");
+  });
+
+  test('custom genres with named placeholders', () => {
+    const engine = createDialogueEngine();
+    expect(engine.registerGenre('family', "{hero}: 'Mere paas {mother} hai!'")).toBe(true);
+    expect(engine.listGenres()).toEqual(['action', 'romance', 'comedy', 'drama', 'family']);
+    expect(engine.createWriter('family')({ hero: 'Ravi', mother: 'Maa' })).toBe("Ravi: 'Mere paas Maa hai!'");
+  });
+
+  test('conditional sections, including inverted and nested ones', () => {
+    const engine = createDialogueEngine({
+      genres: {
+        gangster: "{hero}: '{?city}{city} meri hai{?villain}, {villain}{/villain}.{/city}{^city}Yeh shehar mera hai.{/city}'",
+      },
+    });
+    const write = engine.createWriter('gangster');
+    expect(write({ hero: 'Vijay', city: 'Bambai', villain: 'Kancha' })).toBe("Vijay: 'Bambai meri hai, Kancha.'");
+    expect(write({ hero: 'Vijay', city: 'Bambai' })).toBe("Vijay: 'Bambai meri hai.'");
+    expect(write({ hero: 'Vijay' })).toBe("Vijay: 'Yeh shehar mera hai.'");
+  });
+
+  test('variants rotate round-robin per writer', () => {
+    const engine = createDialogueEngine({ genres: { filmy: ['{hero} one', '{hero} two', '{hero} three'] } });
+    const write = engine.createWriter('filmy');
+    expect([1, 2, 3, 4].map(() => write({ hero: 'A' }))).toEqual(['A one', 'A two', 'A three', 'A one']);
+    expect(engine.createWriter('filmy')({ hero: 'B' })).toBe('B one');
+  });
+
+  test('seeded random picks are reproducible', () => {
+    const genres = { filmy: ['1', '2', '3', '4', '5'] };
+    const run = (seed) => {
+      const write = createDialogueEngine({ genres, strategy: 'random', seed }).createWriter('filmy');
+      return Array.from({ length: 10 }, () => write());
+    };
+    expect(run(42)).toEqual(run(42));
+    expect(run(42)).not.toEqual(run(7));
+    expect(run(42).every((line) => ['1', '2', '3', '4', '5'].includes(line))).toBe(true);
+  });
+
+  test('missing placeholder throws a clear error instead of printing undefined', () => {
+    const engine = createDialogueEngine({ genres: { mumbai: "{hero}: '{city} meri hai!'" } });
+    const write = engine.createWriter('mumbai');
+    expect(() => write({ hero: 'Vijay' })).toThrow('Unknown placeholder {city} in "mumbai" template');
+    expect(() => write({ hero: 'Vijay', constructor: undefined })).toThrow(/\{city\}/);
+  });
+
+  test('invalid genres, templates and options', () => {
+    const engine = createDialogueEngine();
+    expect(engine.registerGenre('action', '{hero}')).toBe(false);
+    expect(engine.registerGenre('broken', '{?city}no close')).toBe(false);
+    expect(engine.registerGenre('crossed', '{?a}{?b}{/a}{/b}')).toBe(false);
+    expect(engine.registerGenre('empty', [])).toBe(false);
+    expect(engine.createWriter('horror')).toBeNull();
+    expect(engine.createWriter('action', { strategy: 'shuffle' })).toBeNull();
+    expect(engine.removeGenre('action')).toBe(true);
+    expect(engine.removeGenre('action')).toBe(false);
+    expect(createDialogueEngine({ genres: { bad: '{/x}' } })).toBeNull();
+    expect(createDialogueEngine({ strategy: 'random', seed: 1.5 })).toBeNull();
+  });
+});
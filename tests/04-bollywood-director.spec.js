@@ -127,4 +127,69 @@ describe('04 - Bollywood Director: Factory Functions (8 pts)', () => {
       expect(createRatingCalculator(42)).toBeNull();
     });
   });
+
+  describe('createTicketPricer rules and breakdown', () => {
+    test('simple call keeps returning a number', () => {
+      const pricer = createTicketPricer(200, { convenienceFee: 50 });
+      expect(pricer('gold', true)).toBe(390);
+      expect(pricer('platinum')).toBe(400);
+    });
+
+    test('breakdown lists adjustments, fee and GST separately', () => {
+      const pricer = createTicketPricer(200);
+      expect(pricer('gold', { showTime: '10:00', audience: 'child', quantity: 2 })).toEqual({
+        seatType: 'gold',
+        audience: 'child',
+        quantity: 2,
+        seatPrice: 300,
+        adjustments: [
+          { rule: 'morning', rate: -0.2, amount: -60 },
+          { rule: 'child', rate: -0.25, amount: -60 },
+        ],
+        ticketPrice: 180,
+        convenienceFee: 30,
+        gst: 5.4,
+        perTicket: 215.4,
+        total: 430.8,
+      });
+    });
+
+    test('holiday, blockbuster and occupancy surges stack', () => {
+      const pricer = createTicketPricer(200);
+      const result = pricer('silver', {
+        isWeekend: true,
+        showTime: 21,
+        isHoliday: true,
+        isBlockbuster: true,
+        occupancy: 0.95,
+      });
+      expect(result.adjustments.map((a) => a.rule)).toEqual(['weekend', 'holiday', 'blockbuster', 'occupancy']);
+      // 200 * 1.3 * 1.15 * 1.25 * 1.2 = 448.5
+      expect(result.ticketPrice).toBe(449);
+      expect(pricer('silver', { occupancy: 0.1 }).ticketPrice).toBe(180);
+      expect(pricer('silver', { occupancy: 0.5 }).adjustments).toEqual([]);
+    });
+
+    test('custom rules: seat types, concessions and fees', () => {
+      const pricer = createTicketPricer(150, {
+        seatMultipliers: { recliner: 3 },
+        concessions: { adult: 0, student: 0.1 },
+        convenienceFee: 0,
+      });
+      expect(pricer('recliner')).toBe(450);
+      expect(pricer('gold')).toBeNull();
+      expect(pricer('recliner', { audience: 'student' })).toMatchObject({ ticketPrice: 405, gst: 0, perTicket: 405 });
+    });
+
+    test('invalid rules or options return null', () => {
+      expect(createTicketPricer(200, { weekendSurcharge: -1 })).toBeNull();
+      expect(createTicketPricer(200, { occupancyTiers: [{ min: 2, rate: 0.1 }] })).toBeNull();
+      expect(createTicketPricer(200, { concessions: { child: 1.5 } })).toBeNull();
+      const pricer = createTicketPricer(200);
+      expect(pricer('gold', { showTime: '25:00' })).toBeNull();
+      expect(pricer('gold', { occupancy: 1.2 })).toBeNull();
+      expect(pricer('gold', { audience: 'vip' })).toBeNull();
+      expect(pricer('gold', { quantity: 0 })).toBeNull();
+    });
+  });
 });
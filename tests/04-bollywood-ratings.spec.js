@@ -0,0 +1,74 @@
+import { createRatingAggregator } from '../src/04-bollywood-ratings.js';
+
+const weights = { story: 0.3, acting: 0.3, direction: 0.2, music: 0.2 };
+
+describe('04 - Bollywood Director: Rating Aggregation', () => {
+  test('renormalises over the categories a review actually has', () => {
+    const aggregate = createRatingAggregator(weights);
+    expect(aggregate({ music: 9 }).rating).toBe(9);
+    // (8*0.3 + 6*0.2) / 0.5 = 7.2
+    expect(aggregate({ story: 8, music: 6 }).rating).toBe(7.2);
+    expect(aggregate({ story: 8, acting: 9, direction: 7, music: 8 }).rating).toBe(8.1);
+  });
+
+  test('weights that do not sum to 1 are normalised or rejected', () => {
+    expect(createRatingAggregator({ story: 3, music: 1 })({ story: 8, music: 4 }).rating).toBe(7);
+    expect(createRatingAggregator({ story: 3, music: 1 }, { normaliseWeights: false })).toBeNull();
+    expect(createRatingAggregator({ story: -1 })).toBeNull();
+    expect(createRatingAggregator({ story: 0 })).toBeNull();
+  });
+
+  test('different review scales and output scale', () => {
+    const aggregate = createRatingAggregator({ story: 0.5, music: 0.5 }, { outputScale: 5 });
+    const result = aggregate([
+      { scores: { story: 4, music: 5 }, scale: 5 },
+      { scores: { story: 80, music: 60 }, scale: 100 },
+      { story: 9, music: 9 },
+    ]);
+    // 0.9, 0.7, 0.9 => mean 0.8333 => 4.2 out of 5
+    expect(result.rating).toBe(4.2);
+    expect(result.categories).toEqual({ story: 4.2, music: 4.2 });
+  });
+
+  test('mean, median and trimmed mean across reviewers', () => {
+    const reviews = [2, 7, 7, 8, 8, 9, 9, 9, 10, 10].map((story) => ({ story }));
+    const by = (method) => createRatingAggregator({ story: 1 }, { method })(reviews).rating;
+    expect(by('mean')).toBe(7.9);
+    expect(by('median')).toBe(8.5);
+    // trim 10% each side: drop 2 and one 10
+    expect(by('trimmed')).toBe(8.4);
+  });
+
+  test('confidence grows with review count and unrated reviews are skipped', () => {
+    const aggregate = createRatingAggregator(weights, { confidence: { medium: 2, high: 3 } });
+    expect(aggregate([{ story: 8 }]).confidence).toBe('low');
+    expect(aggregate([{ story: 8 }, { story: 6 }]).confidence).toBe('medium');
+    const result = aggregate([{ story: 8 }, { story: 6 }, { story: 7 }, { popcorn: 10 }]);
+    expect(result).toMatchObject({ reviews: 3, skipped: 1, confidence: 'high' });
+    expect(aggregate([]).rating).toBeNull();
+  });
+
+  test('critic and audience sources are reported separately', () => {
+    const aggregate = createRatingAggregator(weights);
+    const result = aggregate([
+      { scores: { story: 6 }, source: 'critic' },
+      { scores: { story: 8 }, source: 'critic' },
+      { scores: { story: 4, music: 5 }, scale: 5, source: 'audience' },
+    ]);
+    expect(result.bySource).toEqual({
+      critic: { rating: 7, reviews: 2, confidence: 'low' },
+      audience: { rating: 8.8, reviews: 1, confidence: 'low' },
+    });
+  });
+
+  test('invalid scores and options return null', () => {
+    const aggregate = createRatingAggregator(weights);
+    expect(aggregate({ story: 11 })).toBeNull();
+    expect(aggregate({ scores: { story: 6 }, scale: 5 })).toBeNull();
+    expect(aggregate([{ story: 'great' }])).toBeNull();
+    expect(aggregate([null])).toBeNull();
+    expect(createRatingAggregator(weights, { method: 'mode' })).toBeNull();
+    expect(createRatingAggregator(weights, { trim: 0.5 })).toBeNull();
+    expect(createRatingAggregator(weights, { scale: 0 })).toBeNull();
+  });
+});
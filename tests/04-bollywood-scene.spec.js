@@ -0,0 +1,105 @@
+import { buildScene, sceneToText, sceneToFountain } from '../src/04-bollywood-scene.js';
+import { createDialogueEngine } from '../src/04-bollywood-dialogue.js';
+
+const cast = ['Shah Rukh', 'Raees'];
+
+const scene = () =>
+  buildScene({
+    title: 'Raees Returns',
+    heading: { location: 'Mannat', time: 'night' },
+    cast,
+    beats: [
+      { action: 'Baarish ho rahi hai.' },
+      { genre: 'action', speaker: 'Shah Rukh', target: 'Raees', direction: 'Darwaza khulta hai.' },
+      { genre: 'drama', speaker: 'Raees', target: 'Shah Rukh', parenthetical: 'softly' },
+      { genre: 'romance', speaker: 'Shah Rukh', target: 'Raees' },
+    ],
+  });
+
+describe('04 - Bollywood Director: Scene Builder', () => {
+  test('builds heading and screenplay elements from dialogue writers', () => {
+    expect(scene()).toEqual({
+      title: 'Raees Returns',
+      heading: 'INT. MANNAT - NIGHT',
+      elements: [
+        { type: 'action', text: 'Baarish ho rahi hai.' },
+        { type: 'action', text: 'Darwaza khulta hai.' },
+        { type: 'character', text: 'SHAH RUKH' },
+        { type: 'dialogue', text: 'Tujhe toh main dekh lunga, Raees!' },
+        { type: 'character', text: 'RAEES' },
+        { type: 'parenthetical', text: '(softly)' },
+        { type: 'dialogue', text: 'Shah Rukh, tune mera sab kuch cheen liya!' },
+        { type: 'character', text: 'SHAH RUKH' },
+        { type: 'parenthetical', text: '(whispers)' },
+        { type: 'dialogue', text: 'Raees, tum mere liye sab kuch ho' },
+      ],
+    });
+  });
+
+  test('plain text export indents cues, parentheticals and dialogue', () => {
+    const text = sceneToText(scene());
+    expect(text.startsWith('RAEES RETURNS\n\nINT. MANNAT - NIGHT\n\nBaarish ho rahi hai.\n\n')).toBe(true);
+    expect(text).toContain(
+      `${' '.repeat(20)}RAEES\n${' '.repeat(15)}(softly)\n${' '.repeat(10)}Shah Rukh, tune mera sab kuch cheen liya!`
+    );
+  });
+
+  test('fountain export', () => {
+    expect(sceneToFountain(scene())).toBe(
+      [
+        'Title: Raees Returns',
+        'INT. MANNAT - NIGHT',
+        'Baarish ho rahi hai.',
+        'Darwaza khulta hai.',
+        'SHAH RUKH\nTujhe toh main dekh lunga, Raees!',
+        'RAEES\n(softly)\nShah Rukh, tune mera sab kuch cheen liya!',
+        'SHAH RUKH\n(whispers)\nRaees, tum mere liye sab kuch ho',
+      ].join('\n\n') + '\n'
+    );
+  });
+
+  test('fountain forces all-caps action lines and multiple scenes', () => {
+    const first = buildScene({ heading: { setting: 'EXT', location: 'Marine Drive' }, cast, beats: [{ action: 'BOOM!' }] });
+    const second = buildScene({ heading: { location: 'Police Station' }, cast, beats: [] });
+    expect(sceneToFountain([first, second])).toBe('EXT. MARINE DRIVE - DAY\n\n!BOOM!\n\nINT. POLICE STATION - DAY\n');
+  });
+
+  test('custom dialogue engine with extra values', () => {
+    const engine = createDialogueEngine({ genres: { mumbai: "{hero} growls: '{city} meri hai, {villain}!'" } });
+    const built = buildScene(
+      {
+        heading: { location: 'Dongri' },
+        cast,
+        beats: [{ genre: 'mumbai', speaker: 'Raees', target: 'Shah Rukh', values: { city: 'Bambai' } }],
+      },
+      { engine }
+    );
+    expect(built.elements).toEqual([
+      { type: 'character', text: 'RAEES' },
+      { type: 'parenthetical', text: '(growls)' },
+      { type: 'dialogue', text: 'Bambai meri hai, Shah Rukh!' },
+    ]);
+  });
+
+  test('a template placeholder missing from beat values returns null instead of throwing', () => {
+    const engine = createDialogueEngine({ genres: { mumbai: "{hero} growls: '{city} meri hai, {villain}!'" } });
+    const scene = {
+      heading: { location: 'Dongri' },
+      cast,
+      beats: [{ genre: 'mumbai', speaker: 'Raees', target: 'Shah Rukh' }],
+    };
+    expect(() => buildScene(scene, { engine })).not.toThrow();
+    expect(buildScene(scene, { engine })).toBeNull();
+  });
+
+  test('invalid scenes return null', () => {
+    const heading = { location: 'Mannat' };
+    expect(buildScene({ heading: { location: '' }, cast, beats: [] })).toBeNull();
+    expect(buildScene({ heading: { setting: 'OUT', location: 'Mannat' }, cast, beats: [] })).toBeNull();
+    expect(buildScene({ heading, cast, beats: [{ genre: 'action', speaker: 'Amitabh', target: 'Raees' }] })).toBeNull();
+    expect(buildScene({ heading, cast, beats: [{ genre: 'horror', speaker: 'Raees', target: 'Shah Rukh' }] })).toBeNull();
+    expect(buildScene({ heading, cast: 'Raees', beats: [] })).toBeNull();
+    expect(sceneToText(null)).toBeNull();
+    expect(sceneToFountain([])).toBeNull();
+  });
+});
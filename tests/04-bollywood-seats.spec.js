@@ -0,0 +1,103 @@
+import { createSeatMap } from '../src/04-bollywood-seats.js';
+import { createTicketPricer } from '../src/04-bollywood-director.js';
+
+const layout = {
+  blocks: [
+    { seatType: 'silver', rows: ['A', 'B'], seatsPerRow: 6 },
+    { seatType: 'gold', rows: ['C'], seatsPerRow: 4 },
+  ],
+  blocked: ['B6'],
+  wheelchair: ['C1'],
+};
+
+const setup = () => {
+  let clock = 0;
+  const hall = createSeatMap(layout, { pricer: createTicketPricer(200), now: () => clock });
+  return { hall, tick: (minutes) => (clock += minutes * 60 * 1000) };
+};
+
+describe('04 - Bollywood Director: Seat Map & Booking', () => {
+  test('layout seats and availability', () => {
+    const { hall } = setup();
+    expect(hall.getSeat('C1')).toEqual({ id: 'C1', row: 'C', number: 1, seatType: 'gold', wheelchair: true, status: 'available' });
+    expect(hall.getSeat('B6').status).toBe('blocked');
+    expect(hall.getSeat('D1')).toBeNull();
+    expect(hall.getAvailability()).toEqual({ silver: 11, gold: 4 });
+  });
+
+  test('hold, confirm and itemised booking summary', () => {
+    const { hall } = setup();
+    const held = hall.hold(['A3', 'A4']);
+    expect(held).toEqual({ holdId: 'H1', seats: ['A3', 'A4'], expiresAt: 600000 });
+    expect(hall.getSeat('A3').status).toBe('held');
+
+    const booking = hall.confirm('H1', { audiences: { A4: 'child' }, showTime: '21:00' });
+    expect(booking).toEqual({
+      bookingId: 'B1',
+      seats: ['A3', 'A4'],
+      lines: [
+        { seatType: 'silver', audience: 'adult', quantity: 1, ticketPrice: 200, convenienceFee: 30, gst: 5.4, amount: 235.4 },
+        { seatType: 'silver', audience: 'child', quantity: 1, ticketPrice: 150, convenienceFee: 30, gst: 5.4, amount: 185.4 },
+      ],
+      tickets: 350,
+      convenienceFees: 60,
+      gst: 10.8,
+      total: 420.8,
+    });
+    expect(hall.getSeat('A4').status).toBe('booked');
+    expect(hall.confirm('H1')).toBeNull();
+  });
+
+  test('seats cannot be double-held; release and cancel free them', () => {
+    const { hall } = setup();
+    hall.hold(['A1', 'A2']);
+    expect(hall.hold(['A2', 'A3'])).toBeNull();
+    expect(hall.release('H1')).toBe(true);
+    expect(hall.release('H1')).toBe(false);
+
+    const { holdId } = hall.hold(['A1', 'A2']);
+    const { bookingId } = hall.confirm(holdId);
+    expect(hall.cancel(bookingId)).toBe(true);
+    expect(hall.cancel(bookingId)).toBe(false);
+    expect(hall.getSeat('A1').status).toBe('available');
+  });
+
+  test('holds expire after holdMinutes', () => {
+    const { hall, tick } = setup();
+    hall.hold(['A1', 'A2']);
+    tick(9);
+    expect(hall.getSeat('A1').status).toBe('held');
+    tick(1);
+    expect(hall.getSeat('A1').status).toBe('available');
+    expect(hall.confirm('H1')).toBeNull();
+    expect(hall.hold(['A1', 'A2']).holdId).toBe('H2');
+  });
+
+  test('selections that leave a single-seat gap are rejected', () => {
+    const { hall } = setup();
+    expect(hall.hold(['A2', 'A3'])).toBeNull(); // A1 stranded at the edge
+    expect(hall.hold(['B4'])).toBeNull(); // B5 stranded next to blocked B6
+    expect(hall.hold(['A1', 'A2'])).not.toBeNull();
+    expect(hall.hold(['A4', 'A5'])).toBeNull(); // A3 stranded between holds
+    expect(hall.hold(['A3', 'A4'])).not.toBeNull();
+  });
+
+  test('wheelchair seats need an accessible hold and never count as gaps', () => {
+    const { hall } = setup();
+    expect(hall.hold(['C1'])).toBeNull();
+    expect(hall.hold(['C2', 'C3', 'C4'])).not.toBeNull();
+    expect(hall.hold(['C1'], { accessible: true })).not.toBeNull();
+  });
+
+  test('invalid layouts and requests', () => {
+    const pricer = createTicketPricer(200);
+    expect(createSeatMap(layout)).toBeNull();
+    expect(createSeatMap({ blocks: [{ seatType: 'vip', rows: ['A'], seatsPerRow: 2 }] }, { pricer })).toBeNull();
+    expect(createSeatMap({ blocks: [{ seatType: 'gold', rows: ['A', 'A'], seatsPerRow: 2 }] }, { pricer })).toBeNull();
+    expect(createSeatMap({ ...layout, blocked: ['Z9'] }, { pricer })).toBeNull();
+    const { hall } = setup();
+    expect(hall.hold([])).toBeNull();
+    expect(hall.hold(['A1', 'A1'])).toBeNull();
+    expect(hall.hold(['B6'])).toBeNull();
+  });
+});
@@ -0,0 +1,116 @@
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createDabbawala } from '../src/05-dabbawala-tracker.js';
+import { createMemoryStorage, createFileStorage } from '../src/05-dabbawala-storage.js';
+
+const clock = () => {
+  let time = 1000;
+  return () => (time += 1000);
+};
+
+describe('05 - Dabbawala Tracker: Events & Persistence', () => {
+  test('every mutation is recorded as an event', () => {
+    const ram = createDabbawala('Ram', 'Dadar', { now: clock() });
+    ram.addDelivery('Andheri', 'Churchgate');
+    ram.addDelivery('', 'CST');
+    ram.completeDelivery(1);
+    ram.completeDelivery(1);
+    ram.reset();
+    expect(ram.getEvents()).toEqual([
+      { seq: 1, at: 2000, type: 'added', id: 1, from: 'Andheri', to: 'Churchgate' },
+      { seq: 2, at: 3000, type: 'completed', id: 1 },
+      { seq: 3, at: 4000, type: 'reset' },
+    ]);
+  });
+
+  test('restore replays a snapshot, optionally up to an event (undoing reset)', () => {
+    const ram = createDabbawala('Ram', 'Dadar', { now: clock() });
+    ram.addDelivery('Andheri', 'Churchgate');
+    ram.addDelivery('Bandra', 'CST');
+    ram.completeDelivery(2);
+    ram.reset();
+    const saved = JSON.parse(JSON.stringify(ram.snapshot()));
+
+    const copy = createDabbawala('Ram', 'Dadar');
+    expect(copy.restore(saved)).toBe(true);
+    expect(copy.getStats().total).toBe(0);
+
+    expect(ram.restore(saved, { upTo: 3 })).toBe(true);
+    expect(ram.getStats()).toMatchObject({ total: 2, completed: 1, pending: 1 });
+    expect(ram.getEvents()).toHaveLength(3);
+    expect(ram.addDelivery('Dadar', 'Parel')).toBe(3);
+  });
+
+  test('invalid or foreign snapshots leave state untouched', () => {
+    const ram = createDabbawala('Ram', 'Dadar');
+    ram.addDelivery('Andheri', 'Churchgate');
+    const saved = ram.snapshot();
+
+    const shyam = createDabbawala('Shyam', 'Andheri');
+    expect(shyam.restore(saved)).toBe(false);
+
+    const broken = { ...saved, events: [{ ...saved.events[0], type: 'completed', id: 9 }] };
+    expect(ram.restore(broken)).toBe(false);
+    expect(ram.restore({ ...saved, version: 2 })).toBe(false);
+    expect(ram.restore(null)).toBe(false);
+    expect(ram.getStats().total).toBe(1);
+  });
+
+  test('save and load through a memory storage adapter', async () => {
+    const storage = createMemoryStorage();
+    const ram = createDabbawala('Ram', 'Dadar', { storage });
+    ram.addDelivery('Andheri', 'Churchgate');
+    ram.completeDelivery(1);
+    expect(await ram.save()).toBe(true);
+
+    const revived = createDabbawala('Ram', 'Dadar', { storage });
+    expect(await revived.load()).toBe(true);
+    expect(revived.getStats()).toMatchObject({ total: 1, completed: 1 });
+    expect(await createDabbawala('Ram', 'Dadar', { storage, storageKey: 'other' }).load()).toBe(false);
+    expect(await createDabbawala('Ram', 'Dadar').save()).toBe(false);
+  });
+
+  describe('file storage', () => {
+    let dir;
+
+    beforeAll(async () => {
+      dir = await mkdtemp(join(tmpdir(), 'dabbawala-'));
+    });
+
+    afterAll(async () => {
+      await rm(dir, { recursive: true, force: true });
+    });
+
+    test('snapshot is written as JSON on disk and loaded back', async () => {
+      const storage = createFileStorage(join(dir, 'runs'));
+      const ram = createDabbawala('Ram', 'Dadar', { storage });
+      ram.addDelivery('Andheri', 'Churchgate');
+      await ram.save();
+
+      const text = await readFile(join(dir, 'runs', 'Ram.json'), 'utf8');
+      expect(JSON.parse(text)).toMatchObject({ version: 1, name: 'Ram', area: 'Dadar' });
+
+      const revived = createDabbawala('Ram', 'Dadar', { storage });
+      expect(await revived.load()).toBe(true);
+      expect(revived.getActiveDeliveries()).toEqual([{ id: 1, from: 'Andheri', to: 'Churchgate', status: 'pending' }]);
+    });
+
+    test('missing file loads as false', async () => {
+      const ghost = createDabbawala('Ghost', 'Nowhere', { storage: createFileStorage(dir) });
+      expect(await ghost.load()).toBe(false);
+      expect(createFileStorage('')).toBeNull();
+    });
+  });
+
+  test('private state and event log are not exposed; instances stay independent', () => {
+    const ram = createDabbawala('Ram', 'Dadar');
+    const shyam = createDabbawala('Shyam', 'Andheri');
+    ram.addDelivery('A', 'B');
+    expect(ram.events).toBeUndefined();
+    expect(ram.state).toBeUndefined();
+    ram.getEvents()[0].id = 99;
+    expect(ram.getEvents()[0].id).toBe(1);
+    expect(shyam.getEvents()).toEqual([]);
+  });
+});
@@ -0,0 +1,184 @@
+import { createDabbawala, DELIVERY_TRANSITIONS } from '../src/05-dabbawala-tracker.js';
+
+const clock = () => {
+  let time = 1000;
+  return () => (time += 1000);
+};
+
+describe('05 - Dabbawala Tracker: Delivery Lifecycle', () => {
+  test('a delivery walks pending -> picked -> in-transit -> delivered -> returned', () => {
+    const ram = createDabbawala('Ram', 'Dadar', { now: clock() });
+    const id = ram.addDelivery('Andheri', 'Churchgate');
+    expect(ram.updateStatus(id, 'picked')).toBe(true);
+    expect(ram.updateStatus(id, 'in-transit', { station: 'Dadar' })).toBe(true);
+    expect(ram.updateStatus(id, 'delivered')).toBe(true);
+    expect(ram.updateStatus(id, 'returned')).toBe(true);
+
+    expect(ram.getDelivery(id)).toEqual({
+      id: 1,
+      from: 'Andheri',
+      to: 'Churchgate',
+      status: 'returned',
+      history: [
+        { status: 'pending', at: 2000 },
+        { status: 'picked', at: 3000 },
+        { status: 'in-transit', at: 4000, station: 'Dadar' },
+        { status: 'delivered', at: 5000 },
+        { status: 'returned', at: 6000 },
+      ],
+    });
+  });
+
+  test('transitions are guarded', () => {
+    const ram = createDabbawala('Ram', 'Dadar');
+    const id = ram.addDelivery('Andheri', 'Churchgate');
+    expect(ram.updateStatus(id, 'delivered')).toBe(false);
+    expect(ram.updateStatus(id, 'returned')).toBe(false);
+    expect(ram.updateStatus(id, 'lost')).toBe(false);
+    expect(ram.updateStatus(99, 'picked')).toBe(false);
+    expect(ram.updateStatus(id, 'picked', { station: 'Dadar' })).toBe(false);
+    expect(ram.getDelivery(id).status).toBe('pending');
+    expect(ram.getEvents()).toHaveLength(1);
+    expect(Object.keys(DELIVERY_TRANSITIONS)).toContain('in-transit');
+  });
+
+  test('failed and cancelled need a reason; failed deliveries can be retried', () => {
+    const ram = createDabbawala('Ram', 'Dadar', { now: clock() });
+    const id = ram.addDelivery('Andheri', 'Churchgate');
+    ram.updateStatus(id, 'picked');
+    expect(ram.updateStatus(id, 'failed')).toBe(false);
+    expect(ram.updateStatus(id, 'failed', { reason: '' })).toBe(false);
+    expect(ram.updateStatus(id, 'failed', { reason: 'Local train late' })).toBe(true);
+    expect(ram.updateStatus(id, 'pending')).toBe(true);
+
+    const other = ram.addDelivery('Bandra', 'CST');
+    expect(ram.updateStatus(other, 'cancelled')).toBe(false);
+    expect(ram.updateStatus(other, 'cancelled', { reason: 'Office band hai' })).toBe(true);
+    expect(ram.updateStatus(other, 'picked')).toBe(false);
+
+    expect(ram.getDelivery(id).history[2]).toEqual({
+      status: 'failed',
+      at: 4000,
+      reason: 'Local train late',
+    });
+    expect(ram.getActiveDeliveries()).toEqual([
+      { id: 1, from: 'Andheri', to: 'Churchgate', status: 'pending' },
+    ]);
+  });
+
+  test('completeDelivery still works from any active state', () => {
+    const ram = createDabbawala('Ram', 'Dadar');
+    const id = ram.addDelivery('Andheri', 'Churchgate');
+    ram.updateStatus(id, 'picked');
+    ram.updateStatus(id, 'in-transit');
+    expect(ram.completeDelivery(id)).toBe(true);
+    expect(ram.completeDelivery(id)).toBe(false);
+    expect(ram.getDelivery(id).status).toBe('delivered');
+  });
+
+  test('reassignDelivery hands an active delivery to another dabbawala', () => {
+    const ram = createDabbawala('Ram', 'Dadar', { now: clock() });
+    const shyam = createDabbawala('Shyam', 'Dadar', { now: clock() });
+    shyam.addDelivery('Worli', 'Lower Parel');
+    const id = ram.addDelivery('Andheri', 'Churchgate');
+    ram.updateStatus(id, 'picked');
+
+    expect(ram.reassignDelivery(id, ram)).toBe(-1);
+    expect(ram.reassignDelivery(id, {})).toBe(-1);
+    expect(ram.reassignDelivery(id, shyam, { reason: 'Ram bimaar hai' })).toBe(2);
+
+    expect(ram.getDelivery(id).status).toBe('reassigned');
+    expect(ram.getDelivery(id).history[2]).toEqual({
+      status: 'reassigned',
+      at: 4000,
+      reason: 'Ram bimaar hai',
+      to: 'Shyam',
+    });
+    expect(ram.reassignDelivery(id, shyam)).toBe(-1);
+
+    expect(shyam.getDelivery(2)).toEqual({
+      id: 2,
+      from: 'Andheri',
+      to: 'Churchgate',
+      status: 'picked',
+      history: [
+        {
+          status: 'picked',
+          at: 3000,
+          reason: 'Ram bimaar hai',
+          fromDabbawala: 'Ram',
+          originalId: 1,
+        },
+      ],
+    });
+    expect(shyam.updateStatus(2, 'in-transit')).toBe(true);
+  });
+
+  test('getStats counts every status', () => {
+    const ram = createDabbawala('Ram', 'Dadar');
+    const shyam = createDabbawala('Shyam', 'Dadar');
+    const ids = ['A', 'B', 'C', 'D', 'E'].map((stop) => ram.addDelivery('Andheri', stop));
+    ram.completeDelivery(ids[0]);
+    ram.updateStatus(ids[1], 'picked');
+    ram.updateStatus(ids[1], 'failed', { reason: 'Barsaat' });
+    ram.updateStatus(ids[2], 'cancelled', { reason: 'Chhutti' });
+    ram.reassignDelivery(ids[3], shyam);
+
+    expect(ram.getStats()).toEqual({
+      name: 'Ram',
+      area: 'Dadar',
+      total: 5,
+      completed: 1,
+      pending: 1,
+      // reassigned and cancelled are left out: 1 delivered of 3 attempted
+      successRate: '33.33%',
+      byStatus: {
+        pending: 1,
+        picked: 0,
+        'in-transit': 0,
+        delivered: 1,
+        returned: 0,
+        failed: 1,
+        cancelled: 1,
+        reassigned: 1,
+      },
+    });
+  });
+
+  test('handing a dabba to a colleague does not lower the success rate', () => {
+    const ram = createDabbawala('Ram', 'Dadar');
+    const shyam = createDabbawala('Shyam', 'Dadar');
+    ram.completeDelivery(ram.addDelivery('Andheri', 'Churchgate'));
+    expect(ram.getStats().successRate).toBe('100.00%');
+
+    ram.reassignDelivery(ram.addDelivery('Bandra', 'CST'), shyam);
+    expect(ram.getStats().successRate).toBe('100.00%');
+    ram.updateStatus(ram.addDelivery('Worli', 'CST'), 'cancelled', { reason: 'Office band hai' });
+    expect(ram.getStats().successRate).toBe('100.00%');
+    expect(shyam.getStats().successRate).toBe('0.00%');
+  });
+
+  test('lifecycle events replay through snapshot and restore', () => {
+    const ram = createDabbawala('Ram', 'Dadar', { now: clock() });
+    const shyam = createDabbawala('Shyam', 'Dadar', { now: clock() });
+    ram.addDelivery('Andheri', 'Churchgate');
+    ram.addDelivery('Bandra', 'CST');
+    ram.updateStatus(1, 'picked');
+    ram.updateStatus(1, 'in-transit', { station: 'Dadar' });
+    ram.updateStatus(2, 'cancelled', { reason: 'Office band hai' });
+    ram.reassignDelivery(1, shyam);
+
+    const copy = createDabbawala('Ram', 'Dadar');
+    expect(copy.restore(ram.snapshot())).toBe(true);
+    expect(copy.getDelivery(1)).toEqual(ram.getDelivery(1));
+    expect(copy.getStats()).toEqual(ram.getStats());
+
+    const shyamCopy = createDabbawala('Shyam', 'Dadar');
+    expect(shyamCopy.restore(shyam.snapshot())).toBe(true);
+    expect(shyamCopy.getActiveDeliveries()).toEqual(shyam.getActiveDeliveries());
+
+    const tampered = ram.snapshot();
+    tampered.events[2] = { ...tampered.events[2], status: 'returned' };
+    expect(copy.restore(tampered)).toBe(false);
+  });
+});
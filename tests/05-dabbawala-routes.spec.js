@@ -0,0 +1,83 @@
+import { planDeliveryRoutes } from '../src/05-dabbawala-routes.js';
+import { createTiffinPlan } from '../src/03-tiffin-service.js';
+
+const customer = (name, area, extra = {}) => ({
+  ...createTiffinPlan({ name, ...extra }),
+  pickup: area,
+  drop: 'Churchgate',
+  area,
+});
+
+const team = [
+  { name: 'Ram', area: 'Dadar' },
+  { name: 'Shyam', area: 'Dadar' },
+  { name: 'Ganesh', area: 'Andheri' },
+];
+
+describe('05 - Dabbawala Route Planner', () => {
+  test('balances plans across dabbawalas of the same area', () => {
+    const plans = [customer('Rahul', 'Dadar'), customer('Priya', 'Dadar'), customer('Amit', 'Dadar'), customer('Neha', 'Andheri')];
+    const { manifests, unassigned } = planDeliveryRoutes(plans, team, { date: '2026-10-20' });
+
+    expect(manifests.map((m) => [m.dabbawala, m.deliveries.map((d) => d.customer)])).toEqual([
+      ['Ram', ['Rahul', 'Amit']],
+      ['Shyam', ['Priya']],
+      ['Ganesh', ['Neha']],
+    ]);
+    expect(manifests[0].deliveries[1]).toEqual({
+      id: 2,
+      customer: 'Amit',
+      mealType: 'veg',
+      from: 'Dadar',
+      to: 'Churchgate',
+      crossArea: false,
+    });
+    expect(unassigned).toEqual([]);
+  });
+
+  test('deliveries land in the real dabbawala trackers', () => {
+    const { trackers } = planDeliveryRoutes([customer('Rahul', 'Dadar')], team, { date: '2026-10-20' });
+    expect(trackers.Ram.getActiveDeliveries()).toEqual([{ id: 1, from: 'Dadar', to: 'Churchgate', status: 'pending' }]);
+    expect(trackers.Ram.completeDelivery(1)).toBe(true);
+    expect(trackers.Shyam.getStats().total).toBe(0);
+  });
+
+  test('caps deliveries per dabbawala, overflowing to other areas, then unassigned', () => {
+    const plans = ['A', 'B', 'C', 'D'].map((name) => customer(name, 'Andheri'));
+    const { manifests, unassigned } = planDeliveryRoutes(plans, team.slice(1), {
+      date: '2026-10-20',
+      maxPerDabbawala: 1,
+    });
+    expect(manifests.map((m) => m.count)).toEqual([1, 1]);
+    expect(manifests[0].deliveries[0]).toMatchObject({ customer: 'B', crossArea: true });
+    expect(unassigned).toEqual([
+      { customer: 'C', reason: 'all dabbawalas are at capacity' },
+      { customer: 'D', reason: 'all dabbawalas are at capacity' },
+    ]);
+  });
+
+  test('only plans scheduled for the day are routed; missing stations are reported', () => {
+    const weekdaysOnly = customer('Rahul', 'Dadar', {
+      days: 7,
+      startDate: '2026-10-19',
+      deliveryDays: ['mon', 'tue', 'wed', 'thu', 'fri'],
+    });
+    const noStations = { ...createTiffinPlan({ name: 'Priya' }), area: 'Dadar' };
+
+    const sunday = planDeliveryRoutes([weekdaysOnly, noStations], team, { date: '2026-10-25' });
+    expect(sunday.manifests.every((m) => m.count === 0)).toBe(true);
+    expect(sunday.unassigned).toEqual([{ customer: 'Priya', reason: 'missing pickup or drop station' }]);
+
+    const monday = planDeliveryRoutes([weekdaysOnly], team, { date: '2026-10-19' });
+    expect(monday.manifests[0].count).toBe(1);
+  });
+
+  test('invalid input returns null', () => {
+    expect(planDeliveryRoutes(null, team, { date: '2026-10-20' })).toBeNull();
+    expect(planDeliveryRoutes([], team, { date: '2026-02-30' })).toBeNull();
+    expect(planDeliveryRoutes([], team)).toBeNull();
+    expect(planDeliveryRoutes([], team, { date: '2026-10-20', maxPerDabbawala: 0 })).toBeNull();
+    expect(planDeliveryRoutes([], [{ name: 'Ram' }], { date: '2026-10-20' })).toBeNull();
+    expect(planDeliveryRoutes([], [team[0], team[0]], { date: '2026-10-20' })).toBeNull();
+  });
+});